@@ -0,0 +1,127 @@
+// ===== PDF documents =====
+// Order receipts and chef monthly statements. Each render function resolves
+// to a Buffer holding the finished PDF.
+const PDFDocument = require('pdfkit');
+const { money, orderItems } = require('./format');
+
+const day = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+
+const renderPdf = (build) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    try {
+      build(doc);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+
+// Writes one table row; columns are [{ width, align }] and cells are strings
+const row = (doc, columns, cells, { bold = false } = {}) => {
+  const y = doc.y;
+  let x = doc.page.margins.left;
+  let bottom = y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+  cells.forEach((cell, i) => {
+    doc.text(String(cell ?? ''), x, y, { width: columns[i].width, align: columns[i].align || 'left' });
+    bottom = Math.max(bottom, doc.y);
+    x += columns[i].width;
+  });
+  // Continue below the tallest cell, since long text wraps
+  doc.font('Helvetica');
+  doc.x = doc.page.margins.left;
+  doc.y = bottom;
+  doc.moveDown(0.4);
+};
+
+const heading = (doc, title, subtitle) => {
+  doc.font('Helvetica-Bold').fontSize(20).text('LocalChefBazaar');
+  doc.font('Helvetica').fontSize(14).text(title);
+  if (subtitle) doc.fontSize(10).fillColor('#555').text(subtitle).fillColor('#000');
+  doc.fontSize(10).moveDown();
+};
+
+const itemColumns = [{ width: 245 }, { width: 50, align: 'right' }, { width: 100, align: 'right' }, { width: 100, align: 'right' }];
+const summaryColumns = [{ width: 395, align: 'right' }, { width: 100, align: 'right' }];
+
+// `chef` is the chef's user document, if it still exists
+const renderReceipt = (order, chef) =>
+  renderPdf((doc) => {
+    heading(doc, 'Receipt', `Order #${order._id}`);
+
+    doc.text(`Order date: ${day(order.orderTime)}`);
+    doc.text(`Paid on: ${day(order.paidAt)}`);
+    doc.text(`Payment status: ${order.paymentStatus}`);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').text('Billed to').font('Helvetica');
+    doc.text(order.userName || order.userEmail);
+    doc.text(order.userEmail);
+    if (order.userAddress) doc.text(order.userAddress);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').text('Chef').font('Helvetica');
+    doc.text(order.chefName || chef?.name || '-');
+    if (chef?.chefProfile?.kitchenName) doc.text(chef.chefProfile.kitchenName);
+    doc.text(`Chef ID: ${order.chefId}`);
+    if (chef?.email) doc.text(chef.email);
+    doc.moveDown();
+
+    row(doc, itemColumns, ['Meal', 'Qty', 'Unit price', 'Total'], { bold: true });
+    orderItems(order).forEach((item) =>
+      row(doc, itemColumns, [item.mealName, item.quantity, money(item.unitPrice), money(item.lineTotal)])
+    );
+    doc.moveDown();
+
+    row(doc, summaryColumns, ['Subtotal', money(order.subtotal ?? order.price)]);
+    if (order.discount) row(doc, summaryColumns, [`Discount (${order.couponCode})`, `-${money(order.discount)}`]);
+    if (order.deliveryFee) {
+      const distance = order.distanceKm ? ` (${order.distanceKm} km)` : '';
+      row(doc, summaryColumns, [`Delivery fee${distance}`, money(order.deliveryFee)]);
+    }
+    row(doc, summaryColumns, ['Total paid', money(order.price)], { bold: true });
+    if (order.refundedAmount) row(doc, summaryColumns, ['Refunded', `-${money(order.refundedAmount)}`]);
+  });
+
+const statementColumns = [
+  { width: 70 },
+  { width: 135 },
+  { width: 40, align: 'right' },
+  { width: 65, align: 'right' },
+  { width: 60, align: 'right' },
+  { width: 60, align: 'right' },
+  { width: 65, align: 'right' },
+];
+
+// `rows` come from the statement route: one per delivered order
+const renderStatement = ({ chef, month, rows, totals }) =>
+  renderPdf((doc) => {
+    heading(doc, `Monthly statement ${month}`, `${chef.name || chef.email} - Chef ID ${chef.chefId}`);
+
+    row(doc, statementColumns, ['Delivered', 'Order', 'Qty', 'Total', 'Fee', 'Commission', 'Net'], { bold: true });
+    rows.forEach((r) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+      row(doc, statementColumns, [
+        day(r.deliveredAt),
+        r.orderId,
+        r.quantity,
+        money(r.total),
+        money(r.deliveryFee),
+        money(r.commission),
+        money(r.net),
+      ]);
+    });
+    doc.moveDown();
+
+    row(doc, summaryColumns, ['Delivered orders', totals.orders], { bold: true });
+    row(doc, summaryColumns, ['Total', money(totals.total)]);
+    row(doc, summaryColumns, ['Commission', `-${money(totals.commission)}`]);
+    row(doc, summaryColumns, ['Net earnings', money(totals.net)], { bold: true });
+  });
+
+module.exports = { renderReceipt, renderStatement };
@@ -0,0 +1,10 @@
+// ===== Shared formatting =====
+// Used by the email templates and the PDF documents.
+const money = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+// Cart orders list their meals in `items`; single-meal orders keep one meal at
+// the top level, where `price` also holds the discount and delivery fee.
+const orderItems = (order) =>
+  order.items || [{ mealName: order.mealName, quantity: order.quantity, unitPrice: order.unitPrice, lineTotal: order.subtotal ?? order.price }];
+
+module.exports = { money, orderItems };
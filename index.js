@@ -1,13 +1,20 @@
 
 
 require('dotenv').config();
+const crypto = require('crypto');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY)
 const express = require('express');
 const cors = require('cors');
 const { MongoClient, ObjectId, ServerApiVersion } = require('mongodb');
 const admin = require('firebase-admin');
+const { createMailer } = require('./mailer');
+const { renderReceipt, renderStatement } = require('./documents');
 
 const port = process.env.PORT || 3000;
+// Share of each paid order the platform keeps, e.g. 0.1 for 10%
+const commissionRate = Number(process.env.PLATFORM_COMMISSION_RATE ?? 0.1);
+// How long a stored Idempotency-Key response is replayed
+const idempotencyWindowHours = Number(process.env.IDEMPOTENCY_WINDOW_HOURS ?? 24);
 
 // ===== Firebase Admin Initialization =====
 const decoded = Buffer.from(process.env.FB_SERVICE_KEY, 'base64').toString('utf-8');
@@ -18,6 +25,7 @@ admin.initializeApp({
 });
 
 const app = express();
+const mailer = createMailer();
 
 // ===== Middleware =====
 app.use(
@@ -27,7 +35,13 @@ app.use(
     credentials: true,
   })
 );
-app.use(express.json());
+// Behind a proxy, req.ip should come from X-Forwarded-For (set the hop count)
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS || 0));
+// Menu imports get a larger limit than the default 100kb, for JSON as well as CSV
+const importBodyLimit = '1mb';
+app.use('/chef/meals/import', express.json({ limit: importBodyLimit }));
+// Keep the raw bytes around: Stripe signs the exact payload it sends.
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // ===== JWT Middleware =====
 const verifyJWT = async (req, res, next) => {
@@ -43,6 +57,271 @@ const verifyJWT = async (req, res, next) => {
   }
 };
 
+// ===== Schema Validation =====
+// Each schema maps a body field to its rules. Only declared fields are kept, so
+// server-owned fields (userEmail, rating, _id, ...) never come from the client.
+// `updatable` is the whitelist for PATCH bodies; `requiredIf` makes a field
+// required only for some bodies. `enum` on an array applies to every item.
+const checkType = {
+  string: (v) => typeof v === 'string',
+  number: (v) => typeof v === 'number' && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === 'boolean',
+  array: (v) => Array.isArray(v),
+  objectId: (v) => typeof v === 'string' && ObjectId.isValid(v),
+  date: (v) => typeof v === 'string' && !isNaN(Date.parse(v)),
+};
+
+const schemas = {
+  meal: {
+    fields: {
+      // Chef-defined code, unique per chef; bulk imports match meals by it
+      sku: { type: 'string', maxLength: 50, pattern: /^[A-Za-z0-9_.-]+$/ },
+      foodName: { type: 'string', required: true, maxLength: 100 },
+      chefName: { type: 'string', required: true, maxLength: 100 },
+      foodImage: { type: 'string', required: true },
+      price: { type: 'number', required: true, positive: true },
+      ingredients: { type: 'array', of: 'string' },
+      estimatedDeliveryTime: { type: 'string', maxLength: 50 },
+      chefExperience: { type: 'string', maxLength: 500 },
+      deliveryArea: { type: 'string', maxLength: 100 },
+      // Availability; no dailyLimit means unlimited portions
+      dailyLimit: { type: 'integer', min: 1 },
+      availableDays: { type: 'array', of: 'string', enum: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+      availableFrom: { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/ },
+      availableUntil: { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/ },
+      soldOut: { type: 'boolean' },
+    },
+    updatable: [
+      'sku', 'foodName', 'chefName', 'foodImage', 'price', 'ingredients',
+      'estimatedDeliveryTime', 'chefExperience', 'deliveryArea',
+      'dailyLimit', 'availableDays', 'availableFrom', 'availableUntil', 'soldOut',
+    ],
+  },
+  order: {
+    fields: {
+      foodId: { type: 'objectId', required: true },
+      quantity: { type: 'integer', required: true, min: 1 },
+      price: { type: 'number', positive: true },
+      userName: { type: 'string', maxLength: 100 },
+      userAddress: { type: 'string', required: true, maxLength: 300 },
+      // Pre-orders name a delivery slot; without one the order is for now
+      slotId: { type: 'objectId' },
+      couponCode: { type: 'string', maxLength: 30 },
+      // Where to deliver; needed for meals whose chef set a kitchen location
+      deliveryLat: { type: 'number', min: -90, max: 90 },
+      deliveryLng: { type: 'number', min: -180, max: 180 },
+    },
+  },
+  // The cart supplies the meals; the body only says where they go
+  cartCheckout: {
+    fields: {
+      userName: { type: 'string', maxLength: 100 },
+      userAddress: { type: 'string', required: true, maxLength: 300 },
+      deliveryLat: { type: 'number', min: -90, max: 90 },
+      deliveryLng: { type: 'number', min: -180, max: 180 },
+    },
+  },
+  kitchen: {
+    fields: {
+      lat: { type: 'number', required: true, min: -90, max: 90 },
+      lng: { type: 'number', required: true, min: -180, max: 180 },
+      deliveryRadiusKm: { type: 'number', required: true, positive: true, max: 100 },
+      deliveryFeePerKm: { type: 'number', min: 0 },
+    },
+  },
+  coupon: {
+    fields: {
+      code: { type: 'string', required: true, pattern: /^[A-Za-z0-9_-]{3,30}$/ },
+      type: { type: 'string', required: true, enum: ['percent', 'fixed'] },
+      value: { type: 'number', required: true, positive: true },
+      expiresAt: { type: 'date', required: true },
+      minOrderValue: { type: 'number', min: 0 },
+      maxUses: { type: 'integer', min: 1 },
+      perUserLimit: { type: 'integer', min: 1 },
+      // Optional scope; chefs' coupons are always scoped to themselves
+      chefId: { type: 'string' },
+      foodId: { type: 'objectId' },
+    },
+  },
+  couponPreview: {
+    fields: {
+      code: { type: 'string', required: true, maxLength: 30 },
+      foodId: { type: 'objectId', required: true },
+      quantity: { type: 'integer', min: 1 },
+    },
+  },
+  deliverySlot: {
+    fields: {
+      start: { type: 'date', required: true },
+      end: { type: 'date', required: true },
+      capacity: { type: 'integer', required: true, min: 1 },
+      // Empty means the slot is open to all of the chef's meals
+      foodIds: { type: 'array', of: 'objectId' },
+    },
+  },
+  review: {
+    fields: {
+      orderId: { type: 'objectId', required: true },
+      foodId: { type: 'objectId', required: true },
+      rating: { type: 'integer', required: true, min: 1, max: 5 },
+      comment: { type: 'string', required: true, maxLength: 1000 },
+      reviewerName: { type: 'string', maxLength: 100 },
+      reviewerImage: { type: 'string' },
+    },
+    updatable: ['rating', 'comment'],
+  },
+  reviewReply: {
+    fields: {
+      reply: { type: 'string', required: true, maxLength: 1000 },
+    },
+  },
+  favorite: {
+    fields: {
+      mealId: { type: 'objectId', required: true },
+      mealName: { type: 'string', maxLength: 100 },
+      chefId: { type: 'string' },
+      chefName: { type: 'string', maxLength: 100 },
+      price: { type: 'number', positive: true },
+    },
+  },
+  user: {
+    fields: {
+      name: { type: 'string', maxLength: 100 },
+      photoURL: { type: 'string' },
+      address: { type: 'string', maxLength: 300 },
+    },
+  },
+  orderStatus: {
+    fields: {
+      status: {
+        type: 'string',
+        required: true,
+        enum: ['accepted', 'preparing', 'out_for_delivery', 'delivered', 'cancelled', 'rejected'],
+      },
+      note: { type: 'string', maxLength: 500 },
+    },
+  },
+  refund: {
+    fields: {
+      amount: { type: 'number', required: true, positive: true },
+      reason: { type: 'string', maxLength: 500 },
+    },
+  },
+  notificationPreferences: {
+    fields: {
+      order_status: { type: 'boolean' },
+      new_order: { type: 'boolean' },
+      role_request: { type: 'boolean' },
+      review: { type: 'boolean' },
+    },
+    updatable: ['order_status', 'new_order', 'role_request', 'review'],
+  },
+  roleRequest: {
+    fields: {
+      requestType: { type: 'string', required: true, enum: ['chef', 'admin'] },
+      userName: { type: 'string', maxLength: 100 },
+      // Kitchen details, needed for chef applications
+      kitchenName: { type: 'string', maxLength: 100 },
+      kitchenAddress: { type: 'string', maxLength: 300, requiredIf: (body) => body.requestType === 'chef' },
+      cuisine: { type: 'string', maxLength: 100, requiredIf: (body) => body.requestType === 'chef' },
+      licenseNumber: { type: 'string', maxLength: 50, requiredIf: (body) => body.requestType === 'chef' },
+      documents: { type: 'array', of: 'string' },
+      experience: { type: 'string', maxLength: 500 },
+    },
+  },
+  chefProfile: {
+    fields: {
+      bio: { type: 'string', maxLength: 1000 },
+      cuisine: { type: 'string', maxLength: 100 },
+      kitchenName: { type: 'string', maxLength: 100 },
+      kitchenPhoto: { type: 'string' },
+    },
+    updatable: ['bio', 'cuisine', 'kitchenName', 'kitchenPhoto'],
+  },
+  requestNote: {
+    fields: {
+      note: { type: 'string', required: true, maxLength: 1000 },
+    },
+  },
+  requestRejection: {
+    fields: {
+      reason: { type: 'string', required: true, maxLength: 1000 },
+    },
+  },
+  payoutSettlement: {
+    fields: {
+      // Bank transfer or other external payment reference
+      reference: { type: 'string', maxLength: 200 },
+    },
+  },
+  accountStatus: {
+    fields: {
+      reason: { type: 'string', required: true, maxLength: 1000 },
+    },
+  },
+};
+
+const validate = (schema, body, { partial = false } = {}) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: [{ field: 'body', message: 'must be a JSON object' }] };
+  }
+
+  const errors = [];
+  const value = {};
+  const updatable = schema.updatable || [];
+
+  if (partial) {
+    Object.keys(body)
+      .filter((field) => !updatable.includes(field))
+      .forEach((field) => errors.push({ field, message: 'cannot be updated' }));
+  }
+
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    if (partial && !updatable.includes(field)) continue;
+
+    // Trimmed first, so whitespace-only text counts as missing
+    const v = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    if (v === undefined || v === null || v === '') {
+      const required = rule.required || (rule.requiredIf && rule.requiredIf(body));
+      // A PATCH may leave a required field out, but not blank it
+      if (required && (!partial || body[field] !== undefined)) errors.push({ field, message: 'is required' });
+      continue;
+    }
+
+    if (!checkType[rule.type](v)) {
+      errors.push({ field, message: `must be of type ${rule.type}` });
+      continue;
+    }
+    if (rule.of && !v.every(checkType[rule.of])) errors.push({ field, message: `must only contain ${rule.of} values` });
+    if (rule.positive && v <= 0) errors.push({ field, message: 'must be greater than 0' });
+    if (rule.min !== undefined && v < rule.min) errors.push({ field, message: `must be at least ${rule.min}` });
+    if (rule.max !== undefined && v > rule.max) errors.push({ field, message: `must be at most ${rule.max}` });
+    if (rule.maxLength && v.length > rule.maxLength) {
+      errors.push({ field, message: `must be at most ${rule.maxLength} characters` });
+    }
+    if (rule.pattern && !rule.pattern.test(v)) errors.push({ field, message: 'has an invalid format' });
+    if (rule.enum && ![].concat(v).every((item) => rule.enum.includes(item))) errors.push({ field, message: `must be one of: ${rule.enum.join(', ')}` });
+
+    value[field] = v;
+  }
+
+  if (partial && !errors.length && !Object.keys(value).length) {
+    errors.push({ field: 'body', message: 'has no fields to update' });
+  }
+
+  return { value, errors };
+};
+
+// Replaces req.body with the validated copy, or answers 400 with every field error
+const validateBody = (schema, options) => (req, res, next) => {
+  // Express leaves req.body undefined when a request has no body
+  const { value, errors } = validate(schema, req.body ?? {}, options);
+  if (errors.length) return res.status(400).send({ message: 'Validation failed', errors });
+  req.body = value;
+  next();
+};
+
 // ===== MongoDB Client =====
 const client = new MongoClient(process.env.MONGODB_URI, {
   serverApi: { version: ServerApiVersion.v1 },
@@ -57,15 +336,194 @@ async function run() {
     const ordersCollection = db.collection('order_collection');
     const usersCollection = db.collection('users');
     const requestsCollection = db.collection('requests');
+    const cartCollection = db.collection('cart');
+    const orderEventsCollection = db.collection('order_events');
+    const ledgerCollection = db.collection('chef_ledger');
+    const payoutsCollection = db.collection('payouts');
+    const countersCollection = db.collection('counters');
+    const capacityCollection = db.collection('meal_capacity');
+    const slotsCollection = db.collection('delivery_slots');
+    const notificationsCollection = db.collection('notifications');
+    const auditCollection = db.collection('audit_log');
+    const followsCollection = db.collection('follows');
+    const idempotencyCollection = db.collection('idempotency_keys');
+    const couponsCollection = db.collection('coupons');
+    const redemptionsCollection = db.collection('coupon_redemptions');
+
+    // ===== ROLE MIDDLEWARE =====
+    // Loads the caller's user document once per request into req.user.
+    // Use after verifyJWT; the guards below are arrays so they chain in a route.
+    const loadUser = async (req, res, next) => {
+      try {
+        if (req.user === undefined) req.user = await usersCollection.findOne({ email: req.tokenEmail });
+        next();
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to load user', err });
+      }
+    };
+
+    const requireRole = (...roles) => [
+      loadUser,
+      (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) return res.status(403).send({ message: 'Forbidden' });
+        next();
+      },
+    ];
+
+    // Suspended accounts and accounts marked as fraud can still sign in but
+    // cannot order or sell
+    const restrictedStatuses = ['suspended', 'fraud'];
+
+    const requireActive = [
+      loadUser,
+      (req, res, next) => {
+        if (restrictedStatuses.includes(req.user?.status)) return res.status(403).send({ message: 'Your account is restricted' });
+        next();
+      },
+    ];
+
+    const ownsMeal = (user, meal) => user.role === 'admin' || meal.userEmail === user.email;
+    const isOrderChef = (user, order) => user?.role === 'chef' && !!user.chefId && order.chefId === user.chefId;
+
+    // ===== AUDIT LOG =====
+    // Append-only record of privileged and financial actions. Nothing updates
+    // or deletes entries. Actions: user.role, user.status, request.approve,
+    // meal.delete and order.paid.
+    const recordAudit = async (req, { actor = req.tokenEmail, action, targetType, targetId, before = null, after = null }) => {
+      try {
+        await auditCollection.insertOne({
+          actor,
+          action,
+          targetType,
+          targetId: targetId?.toString(),
+          before,
+          after,
+          ip: req.ip,
+          userAgent: req.get('user-agent') || null,
+          createdAt: new Date(),
+        });
+      } catch (err) {
+        console.error(`Failed to write audit entry ${action}`, err);
+      }
+    };
 
+    const csvCell = (value) => {
+      if (value === null || value === undefined) return '';
+      let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+      // Keep spreadsheets from running text as a formula
+      if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const toCsv = (columns, rows) =>
+      [columns.join(','), ...rows.map((row) => columns.map((column) => csvCell(row[column])).join(','))].join('\r\n');
+
+    const auditColumns = ['createdAt', 'actor', 'action', 'targetType', 'targetId', 'before', 'after', 'ip', 'userAgent'];
+
+    // Query params: actor, action, targetId, from, to, page, limit, format (json | csv).
+    // CSV exports every match up to 10000 entries, ignoring page and limit.
+    app.get('/admin/audit', verifyJWT, requireRole('admin'), async (req, res) => {
+      try {
+        const { actor, action, targetId, from, to, format } = req.query;
+        const filter = {};
+        if (actor) filter.actor = actor;
+        if (action) filter.action = action;
+        if (targetId) filter.targetId = targetId;
+        if (from || to) {
+          filter.createdAt = {};
+          if (from) filter.createdAt.$gte = new Date(from);
+          if (to) filter.createdAt.$lte = parseRangeEnd(to);
+          if (Object.values(filter.createdAt).some((date) => isNaN(date))) {
+            return res.status(400).send({ message: 'Invalid date range' });
+          }
+        }
+
+        const cursor = auditCollection.find(filter).sort({ createdAt: -1, _id: -1 });
+
+        if (format === 'csv') {
+          const entries = await cursor.limit(10000).toArray();
+          res.set('Content-Type', 'text/csv; charset=utf-8');
+          res.set('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+          return res.send(toCsv(auditColumns, entries));
+        }
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const [entries, totalCount] = await Promise.all([
+          cursor.skip((page - 1) * limit).limit(limit).toArray(),
+          auditCollection.countDocuments(filter),
+        ]);
+        res.send({ entries, totalCount, page, totalPages: Math.ceil(totalCount / limit) });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to fetch audit log', err });
+      }
+    });
+
+    // ===== IDEMPOTENCY =====
+    // Routes using `idempotent` honor an Idempotency-Key header. The first
+    // request with a key runs and its response is stored; repeats of the same
+    // request get that response back (with Idempotent-Replayed: true) for
+    // IDEMPOTENCY_WINDOW_HOURS. A key reused with a different body is rejected.
+    // Server errors are not stored, so the client can retry with the same key.
+    // Use after verifyJWT: keys are scoped per user.
+    const idempotent = async (req, res, next) => {
+      const key = req.get('Idempotency-Key');
+      if (key === undefined) return next();
+      if (!key || key.length > 255) return res.status(400).send({ message: 'Invalid Idempotency-Key' });
+
+      const id = `${req.tokenEmail}:${req.method} ${req.path}:${key}`;
+      const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body ?? {})).digest('hex');
+
+      try {
+        await idempotencyCollection.insertOne({ _id: id, requestHash, status: 'processing', createdAt: new Date() });
+      } catch (err) {
+        if (err.code !== 11000) return res.status(500).send({ message: 'Failed to check Idempotency-Key', err });
+
+        const stored = await idempotencyCollection.findOne({ _id: id });
+        if (!stored) return res.status(409).send({ message: 'Request with this Idempotency-Key is in progress, try again' });
+        if (stored.requestHash !== requestHash) {
+          return res.status(422).send({ message: 'Idempotency-Key was already used with a different request' });
+        }
+        if (stored.status === 'processing') {
+          return res.status(409).send({ message: 'Request with this Idempotency-Key is in progress, try again' });
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(stored.statusCode).type('json').send(stored.body);
+      }
+
+      // res.send(object) calls res.send again with the JSON text; keep the first body
+      const send = res.send.bind(res);
+      let captured = false;
+      res.send = (body) => {
+        if (!captured) {
+          captured = true;
+          const text = typeof body === 'string' ? body : JSON.stringify(body);
+          const saved = res.statusCode < 500
+            ? idempotencyCollection.updateOne({ _id: id }, { $set: { status: 'done', statusCode: res.statusCode, body: text } })
+            : idempotencyCollection.deleteOne({ _id: id });
+          saved.catch((err) => console.error('Failed to store idempotent response', err));
+        }
+        return send(body);
+      };
+      next();
+    };
 
     // ===== FOODS =====
-    app.post('/add-food', verifyJWT, async (req, res) => {
+    app.post('/add-food', verifyJWT, requireRole('chef'), requireActive, validateBody(schemas.meal), async (req, res) => {
       try {
         const foodData = req.body;
+        // Ownership comes from the account, not the form
+        foodData.userEmail = req.tokenEmail;
+        foodData.chefId = req.user.chefId;
+        if (req.user.kitchen) foodData.kitchen = req.user.kitchen;
+        foodData.createdAt = new Date();
+        foodData.rating = 0;
+        foodData.ratingTotal = 0;
+        foodData.reviewCount = 0;
         const result = await foodCollection.insertOne(foodData);
         res.send(result);
       } catch (err) {
+        if (err.code === 11000) return res.status(400).send({ message: 'You already have a meal with this SKU' });
         res.status(500).send({ message: 'Failed to create food', err });
       }
     });
@@ -78,16 +536,99 @@ async function run() {
     //     res.status(500).send({ message: 'Failed to fetch foods', err });
     //   }
     // });
+    // Query params: search, minPrice, maxPrice, minRating, chefId, deliveryArea,
+    // sort (price_asc | price_desc | rating | newest), page, limit, lat, lng.
+    // Without a sort, text searches are ordered by relevance. With lat/lng only
+    // meals whose chef delivers there are listed, nearest first, with distanceKm.
+    const mealSorts = {
+      price_asc: { price: 1, _id: 1 },
+      price_desc: { price: -1, _id: 1 },
+      rating: { rating: -1, _id: 1 },
+      newest: { _id: -1 },
+    };
+
+    const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    const numberParam = (value) => {
+      if (value === undefined || value === '') return undefined;
+      const number = Number(value);
+      return Number.isFinite(number) ? number : undefined;
+    };
+
     app.get('/add-food', async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
     const skip = (page - 1) * limit;
+    const { search, chefId, deliveryArea, sort } = req.query;
+
+    if (sort && !mealSorts[sort]) return res.status(400).send({ message: 'Invalid sort option' });
+
+    const lat = numberParam(req.query.lat);
+    const lng = numberParam(req.query.lng);
+    const nearby = lat !== undefined || lng !== undefined;
+    if (nearby && !isValidLocation(lat, lng)) return res.status(400).send({ message: 'Invalid lat/lng' });
+
+    const filter = {};
+    if (search?.trim()) {
+      // $geoNear cannot be combined with $text, so nearby searches match by name
+      if (nearby) {
+        const pattern = { $regex: escapeRegex(search.trim()), $options: 'i' };
+        filter.$or = [{ foodName: pattern }, { chefName: pattern }, { ingredients: pattern }];
+      } else {
+        filter.$text = { $search: search.trim() };
+      }
+    }
+    if (chefId) filter.chefId = chefId;
+    if (deliveryArea?.trim()) filter.deliveryArea = { $regex: `^${escapeRegex(deliveryArea.trim())}$`, $options: 'i' };
+
+    const minPrice = numberParam(req.query.minPrice);
+    const maxPrice = numberParam(req.query.maxPrice);
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      filter.price = {};
+      if (minPrice !== undefined) filter.price.$gte = minPrice;
+      if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+    }
+
+    const minRating = numberParam(req.query.minRating);
+    if (minRating !== undefined) filter.rating = { $gte: minRating };
 
-    const totalCount = await foodCollection.countDocuments();
-    const foods = await foodCollection.find().skip(skip).limit(limit).toArray();
+    // Meals of restricted chefs stay in the database but are not listed
+    const hiddenChefIds = await usersCollection.distinct('chefId', { role: 'chef', status: { $in: restrictedStatuses } });
+    if (hiddenChefIds.length) filter.chefId = chefId ? { $eq: chefId, $nin: hiddenChefIds } : { $nin: hiddenChefIds };
 
-    res.send({ meals: foods, totalCount });
+    if (nearby) {
+      const [result] = await foodCollection.aggregate([
+        {
+          $geoNear: {
+            near: toPoint(lat, lng),
+            key: 'kitchen.location',
+            distanceField: 'distanceKm',
+            distanceMultiplier: 0.001,
+            spherical: true,
+            query: filter,
+          },
+        },
+        { $match: { $expr: { $lte: ['$distanceKm', '$kitchen.deliveryRadiusKm'] } } },
+        { $set: { distanceKm: { $round: ['$distanceKm', 2] } } },
+        {
+          $facet: {
+            meals: [...(sort ? [{ $sort: mealSorts[sort] }] : []), { $skip: skip }, { $limit: limit }],
+            total: [{ $count: 'count' }],
+          },
+        },
+      ]).toArray();
+      return res.send({ meals: await withRemainingToday(result.meals), totalCount: result.total[0]?.count || 0 });
+    }
+
+    let cursor = foodCollection.find(filter);
+    if (sort) cursor = cursor.sort(mealSorts[sort]);
+    else if (filter.$text) cursor = cursor.project({ score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' } });
+
+    const totalCount = await foodCollection.countDocuments(filter);
+    const foods = await cursor.skip(skip).limit(limit).toArray();
+
+    res.send({ meals: await withRemainingToday(foods), totalCount });
   } catch (err) {
     res.status(500).send({ message: 'Failed to fetch foods', err });
   }
@@ -98,27 +639,44 @@ async function run() {
       try {
         const food = await foodCollection.findOne({ _id: new ObjectId(req.params.id) });
         if (!food) return res.status(404).send({ message: 'Meal not found' });
-        res.send(food);
+        const [meal] = await withRemainingToday([food]);
+        res.send(meal);
       } catch (err) {
         res.status(500).send({ message: 'Failed to fetch meal', err });
       }
     });
 
-    app.patch('/add-food/:id', verifyJWT, async (req, res) => {
+    app.patch('/add-food/:id', verifyJWT, requireRole('chef', 'admin'), validateBody(schemas.meal, { partial: true }), async (req, res) => {
       try {
+        const meal = await foodCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!meal) return res.status(404).send({ message: 'Meal not found' });
+        if (!ownsMeal(req.user, meal)) return res.status(403).send({ message: 'Forbidden' });
+
         const result = await foodCollection.updateOne(
           { _id: new ObjectId(req.params.id) },
-          { $set: req.body }
+          { $set: { ...req.body, updatedAt: new Date() } }
         );
+        // Toggling availability is not an edit of the meal itself
+        const edited = Object.keys(req.body).some((field) => !availabilityFields.includes(field));
+        if (result.modifiedCount && edited) await expireCartItems(req.params.id, 'Meal was updated');
         res.send(result);
       } catch (err) {
+        if (err.code === 11000) return res.status(400).send({ message: 'You already have a meal with this SKU' });
         res.status(500).send({ message: 'Failed to update food', err });
       }
     });
 
-    app.delete('/add-food/:id', verifyJWT, async (req, res) => {
+    app.delete('/add-food/:id', verifyJWT, requireRole('chef', 'admin'), async (req, res) => {
       try {
+        const meal = await foodCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!meal) return res.status(404).send({ message: 'Meal not found' });
+        if (!ownsMeal(req.user, meal)) return res.status(403).send({ message: 'Forbidden' });
+
         const result = await foodCollection.deleteOne({ _id: new ObjectId(req.params.id) });
+        if (result.deletedCount) {
+          await expireCartItems(req.params.id, 'Meal was removed');
+          await recordAudit(req, { action: 'meal.delete', targetType: 'meal', targetId: meal._id, before: meal });
+        }
         res.send(result);
       } catch (err) {
         res.status(500).send({ message: 'Failed to delete food', err });
@@ -138,24 +696,323 @@ async function run() {
       }
     });
 
+    // ===== BULK IMPORT / EXPORT =====
+    // Chefs export their menu as CSV or JSON, edit it and upload it again.
+    // Rows are matched to meals by _id (exported meals carry it, SKU or not),
+    // then by SKU; rows matching nothing create a meal and need a SKU. Nothing
+    // is saved unless every row is valid; ?dryRun=true only reports what would
+    // happen. In CSV, list cells are separated by ';'.
+    const mealColumns = ['_id', ...schemas.meal.updatable];
+    const maxImportRows = 500;
+
+    const parseCsv = (text) => {
+      const rows = [];
+      let row = [];
+      let cell = '';
+      let quoted = false;
+      const input = text.replace(/^\uFEFF/, '');
+      for (let i = 0; i < input.length; i++) {
+        const c = input[i];
+        if (quoted) {
+          if (c === '"' && input[i + 1] === '"') {
+            cell += '"';
+            i++;
+          } else if (c === '"') quoted = false;
+          else cell += c;
+        } else if (c === '"') quoted = true;
+        else if (c === ',') {
+          row.push(cell);
+          cell = '';
+        } else if (c === '\n' || c === '\r') {
+          if (c === '\r' && input[i + 1] === '\n') i++;
+          row.push(cell);
+          rows.push(row);
+          row = [];
+          cell = '';
+        } else cell += c;
+      }
+      if (cell || row.length) rows.push([...row, cell]);
+      return rows.filter((r) => r.some((value) => value.trim() !== ''));
+    };
+
+    // Turns CSV text cells into the types the meal schema expects. Cells that
+    // do not convert are left as text so validation reports them.
+    const csvToMeal = (header, cells) => {
+      const meal = {};
+      header.forEach((field, i) => {
+        // Undo the formula guard added by toCsv
+        const text = (cells[i] ?? '').trim().replace(/^'(?=[=+\-@])/, '');
+        if (text === '') return;
+        const type = schemas.meal.fields[field]?.type;
+        if (type === 'number' || type === 'integer') meal[field] = isNaN(Number(text)) ? text : Number(text);
+        else if (type === 'array') meal[field] = text.split(';').map((item) => item.trim()).filter(Boolean);
+        else if (type === 'boolean') meal[field] = text === 'true' ? true : text === 'false' ? false : text;
+        else meal[field] = text;
+      });
+      return meal;
+    };
+
+    const mealToCsv = (meal) => {
+      const row = {};
+      mealColumns.forEach((field) => (row[field] = Array.isArray(meal[field]) ? meal[field].join('; ') : meal[field]));
+      row._id = meal._id.toString();
+      return row;
+    };
+
+    // Reads the upload into plain objects, or returns { message } for a bad file
+    const readImportRows = (req) => {
+      if (typeof req.body === 'string') {
+        const [header, ...lines] = parseCsv(req.body);
+        if (!header) return { message: 'CSV file is empty' };
+        const fields = header.map((field) => field.trim());
+        const unknown = fields.filter((field) => !mealColumns.includes(field));
+        if (unknown.length) return { message: `Unknown columns: ${unknown.join(', ')}` };
+        return { rows: lines.map((cells) => csvToMeal(fields, cells)) };
+      }
+      const rows = Array.isArray(req.body) ? req.body : req.body?.meals;
+      if (!Array.isArray(rows)) return { message: 'Send a CSV file or a JSON array of meals' };
+      return { rows };
+    };
+
+    app.post(
+      '/chef/meals/import',
+      verifyJWT,
+      requireRole('chef'),
+      requireActive,
+      express.text({ type: ['text/csv', 'text/plain'], limit: importBodyLimit }),
+      async (req, res) => {
+        try {
+          const dryRun = req.query.dryRun === 'true';
+          const { rows, message } = readImportRows(req);
+          if (message) return res.status(400).send({ message });
+          if (!rows.length) return res.status(400).send({ message: 'No meals to import' });
+          if (rows.length > maxImportRows) return res.status(400).send({ message: `At most ${maxImportRows} meals per import` });
+
+          const existing = await foodCollection.find({ chefId: req.user.chefId }).toArray();
+          const byId = new Map(existing.map((meal) => [meal._id.toString(), meal]));
+          const bySku = new Map(existing.filter((meal) => meal.sku).map((meal) => [meal.sku, meal]));
+          const seen = new Set();
+
+          // Row numbers count data rows from 1, after the CSV header
+          const report = rows.map((row, i) => {
+            const { value, errors } = validate(schemas.meal, row);
+            const id = row?._id ? String(row._id) : null;
+            if (id && !byId.has(id)) errors.push({ field: '_id', message: 'is not one of your meals' });
+
+            const meal = (id && byId.get(id)) || (value?.sku && bySku.get(value.sku)) || null;
+            if (!meal && !value?.sku && !errors.some((error) => error.field === 'sku')) {
+              errors.push({ field: 'sku', message: 'is required for new meals' });
+            }
+            if (meal && value?.sku && bySku.has(value.sku) && !bySku.get(value.sku)._id.equals(meal._id)) {
+              errors.push({ field: 'sku', message: 'is used by another of your meals' });
+            }
+
+            const key = meal ? meal._id.toString() : value?.sku;
+            if (key && seen.has(key)) errors.push({ field: meal ? '_id' : 'sku', message: 'appears more than once in this file' });
+            if (key) seen.add(key);
+
+            return { row: i + 1, sku: value?.sku ?? meal?.sku ?? null, action: meal ? 'update' : 'create', errors, value, meal };
+          });
+
+          const failed = report.filter((entry) => entry.errors.length);
+          const summary = {
+            dryRun,
+            total: report.length,
+            created: report.filter((entry) => !entry.errors.length && entry.action === 'create').length,
+            updated: report.filter((entry) => !entry.errors.length && entry.action === 'update').length,
+            failed: failed.length,
+            rows: report.map(({ value, meal, errors, ...entry }) => (errors.length ? { ...entry, errors } : entry)),
+          };
+          if (failed.length && !dryRun) return res.status(400).send({ message: 'Import failed, no meals were saved', ...summary });
+          if (dryRun) return res.send(summary);
+
+          const now = new Date();
+          await foodCollection.bulkWrite(
+            report.map(({ value, meal }) => ({
+              updateOne: {
+                filter: meal ? { _id: meal._id } : { chefId: req.user.chefId, sku: value.sku },
+                update: {
+                  $set: { ...value, updatedAt: now },
+                  $setOnInsert: {
+                    userEmail: req.tokenEmail,
+                    ...(req.user.kitchen && { kitchen: req.user.kitchen }),
+                    createdAt: now,
+                    rating: 0,
+                    ratingTotal: 0,
+                    reviewCount: 0,
+                  },
+                },
+                upsert: !meal,
+              },
+            })),
+            { ordered: false }
+          );
+
+          // Same rule as PATCH /add-food: only edits beyond availability expire carts
+          const edited = report.filter(({ value, meal }) =>
+            meal && Object.keys(value).some(
+              (field) => !availabilityFields.includes(field) && JSON.stringify(value[field]) !== JSON.stringify(meal[field])
+            )
+          );
+          await Promise.all(edited.map(({ meal }) => expireCartItems(meal._id.toString(), 'Meal was updated')));
+
+          res.send(summary);
+        } catch (err) {
+          res.status(500).send({ message: 'Failed to import meals', err });
+        }
+      }
+    );
+
+    // ?format=csv (default) or json, in the shape the import accepts
+    app.get('/chef/meals/export', verifyJWT, requireRole('chef'), async (req, res) => {
+      try {
+        const format = req.query.format || 'csv';
+        if (!['csv', 'json'].includes(format)) return res.status(400).send({ message: 'format must be csv or json' });
+
+        const meals = await foodCollection.find({ chefId: req.user.chefId }).sort({ sku: 1, _id: 1 }).toArray();
+        const filename = `meals-${req.user.chefId}-${new Date().toISOString().slice(0, 10)}`;
+
+        if (format === 'json') {
+          res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+          const rows = meals.map((meal) =>
+            Object.fromEntries(mealColumns.filter((field) => meal[field] !== undefined).map((field) => [field, meal[field]]))
+          );
+          return res.send(rows);
+        }
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+        res.send(toCsv(mealColumns, meals.map(mealToCsv)));
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to export meals', err });
+      }
+    });
+
     // ===== REVIEWS =====
-    app.post('/reviews', verifyJWT, async (req, res) => {
+    // Only a delivered order can be reviewed, once per meal in it. Meals keep a
+    // running ratingTotal/reviewCount so the average is updated in one atomic
+    // write instead of re-reading every review.
+    const adjustMealRating = (foodId, ratingDelta, countDelta) =>
+      foodCollection.findOneAndUpdate(
+        { _id: new ObjectId(foodId) },
+        [
+          {
+            $set: {
+              ratingTotal: { $add: [{ $ifNull: ['$ratingTotal', 0] }, ratingDelta] },
+              reviewCount: { $add: [{ $ifNull: ['$reviewCount', 0] }, countDelta] },
+            },
+          },
+          {
+            $set: {
+              rating: {
+                $cond: [{ $gt: ['$reviewCount', 0] }, { $round: [{ $divide: ['$ratingTotal', '$reviewCount'] }, 2] }, 0],
+              },
+            },
+          },
+        ],
+        { returnDocument: 'after' }
+      );
+
+    // Meals created before running totals existed get them from their reviews once
+    const backfillMealRatings = async () => {
+      const pending = await foodCollection.find({ reviewCount: { $exists: false } }, { projection: { _id: 1 } }).toArray();
+      if (!pending.length) return;
+
+      const totals = await reviewsCollection.aggregate([
+        { $match: { foodId: { $in: pending.map((m) => m._id.toString()) } } },
+        { $group: { _id: '$foodId', ratingTotal: { $sum: '$rating' }, reviewCount: { $sum: 1 } } },
+      ]).toArray();
+      const totalsMap = {};
+      totals.forEach((t) => (totalsMap[t._id] = t));
+
+      await foodCollection.bulkWrite(
+        pending.map((m) => {
+          const { ratingTotal = 0, reviewCount = 0 } = totalsMap[m._id.toString()] || {};
+          const rating = reviewCount ? Math.round((ratingTotal / reviewCount) * 100) / 100 : 0;
+          return {
+            updateOne: {
+              filter: { _id: m._id, reviewCount: { $exists: false } },
+              update: { $set: { ratingTotal, reviewCount, rating } },
+            },
+          };
+        })
+      );
+    };
+
+    app.post('/reviews', verifyJWT, validateBody(schemas.review), async (req, res) => {
       try {
         const reviewData = req.body;
+        reviewData.reviewerEmail = req.tokenEmail;
+
+        const order = await ordersCollection.findOne({ _id: new ObjectId(reviewData.orderId) });
+        if (!order || order.userEmail !== req.tokenEmail) {
+          return res.status(403).send({ message: 'You can only review your own orders' });
+        }
+        if (order.orderStatus !== 'delivered') return res.status(400).send({ message: 'Order has not been delivered yet' });
+        if (!orderLines(order).some((line) => line.foodId === reviewData.foodId)) {
+          return res.status(400).send({ message: 'This meal is not part of the order' });
+        }
+
         reviewData.date = new Date();
-        const result = await reviewsCollection.insertOne(reviewData);
+        let result;
+        try {
+          result = await reviewsCollection.insertOne(reviewData);
+        } catch (err) {
+          if (err.code === 11000) return res.status(400).send({ message: 'You already reviewed this order' });
+          throw err;
+        }
 
-        const reviews = await reviewsCollection.find({ foodId: reviewData.foodId }).toArray();
-        const avgRating = reviews.length > 0 ? reviews.reduce((sum, r) => sum + r.rating, 0) / reviews.length : 0;
+        const meal = await adjustMealRating(reviewData.foodId, reviewData.rating, 1);
+        if (meal) {
+          notify(meal.userEmail, 'review', {
+            title: 'New review',
+            message: `${reviewData.reviewerName || 'A customer'} rated ${meal.foodName} ${reviewData.rating}/5`,
+            link: `/meals/${reviewData.foodId}`,
+            data: { reviewId: result.insertedId.toString(), foodId: reviewData.foodId },
+          });
+        }
+        res.send({ success: true, result, avgRating: meal?.rating ?? 0 });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to submit review', err });
+      }
+    });
 
-        await foodCollection.updateOne(
-          { _id: new ObjectId(reviewData.foodId) },
-          { $set: { rating: avgRating } }
+    app.patch('/reviews/:id', verifyJWT, validateBody(schemas.review, { partial: true }), async (req, res) => {
+      try {
+        const before = await reviewsCollection.findOneAndUpdate(
+          { _id: new ObjectId(req.params.id), reviewerEmail: req.tokenEmail },
+          { $set: { ...req.body, editedAt: new Date() } },
+          { returnDocument: 'before' }
         );
+        if (!before) return res.status(404).send({ message: 'Review not found' });
 
-        res.send({ success: true, result, avgRating });
+        let avgRating;
+        if (req.body.rating !== undefined && req.body.rating !== before.rating) {
+          const meal = await adjustMealRating(before.foodId, req.body.rating - before.rating, 0);
+          avgRating = meal?.rating;
+        }
+        res.send({ success: true, avgRating });
       } catch (err) {
-        res.status(500).send({ message: 'Failed to submit review', err });
+        res.status(500).send({ message: 'Failed to update review', err });
+      }
+    });
+
+    // The meal's chef may answer a review publicly, once
+    app.post('/reviews/:id/reply', verifyJWT, requireRole('chef'), validateBody(schemas.reviewReply), async (req, res) => {
+      try {
+        const review = await reviewsCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!review) return res.status(404).send({ message: 'Review not found' });
+
+        const meal = await foodCollection.findOne({ _id: new ObjectId(review.foodId) });
+        if (!meal || !ownsMeal(req.user, meal)) return res.status(403).send({ message: 'Forbidden' });
+
+        const result = await reviewsCollection.updateOne(
+          { _id: review._id, chefReply: { $exists: false } },
+          { $set: { chefReply: { text: req.body.reply, chefName: req.user.name, repliedAt: new Date() } } }
+        );
+        if (!result.matchedCount) return res.status(400).send({ message: 'Review already has a reply' });
+        res.send({ success: true, result });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to reply to review', err });
       }
     });
 
@@ -164,184 +1021,1727 @@ async function run() {
         const reviews = await reviewsCollection.find({ foodId: req.params.foodId }).sort({ date: -1 }).toArray();
         res.send(reviews);
       } catch (err) {
-        res.status(500).send({ message: 'Failed to fetch reviews', err });
+        res.status(500).send({ message: 'Failed to fetch reviews', err });
+      }
+    });
+
+    app.get('/reviews', verifyJWT, async (req, res) => {
+      try {
+        const email = req.query.email;
+        if (email !== req.tokenEmail) return res.status(403).send({ message: 'Forbidden' });
+
+        const reviews = await reviewsCollection.find({ reviewerEmail: email }).sort({ date: -1 }).toArray();
+
+        const foodIds = reviews.map(r => new ObjectId(r.foodId));
+        const foods = await foodCollection.find({ _id: { $in: foodIds } }).toArray();
+        const foodMap = {};
+        foods.forEach(f => (foodMap[f._id.toString()] = f.foodName));
+
+        const reviewsWithFoodName = reviews.map(r => ({
+          ...r,
+          foodName: foodMap[r.foodId] || "Unknown Food",
+        }));
+
+        res.send(reviewsWithFoodName);
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to fetch reviews', err });
+      }
+    });
+
+    app.delete('/reviews/:id', verifyJWT, async (req, res) => {
+      try {
+        const review = await reviewsCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!review) return res.status(404).send({ message: 'Review not found' });
+        if (review.reviewerEmail !== req.tokenEmail) return res.status(403).send({ message: 'Forbidden' });
+
+        // Only the request that actually deleted it adjusts the meal
+        const deleted = await reviewsCollection.findOneAndDelete({ _id: review._id });
+        if (deleted) await adjustMealRating(deleted.foodId, -deleted.rating, -1);
+        res.send({ success: true, message: 'Review deleted' });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to delete review', err });
+      }
+    });
+
+    // ===== FAVORITES =====
+    app.post('/favorites', verifyJWT, validateBody(schemas.favorite), async (req, res) => {
+      try {
+        const favoriteData = req.body;
+        favoriteData.userEmail = req.tokenEmail;
+        const exists = await favoritesCollection.findOne({ userEmail: favoriteData.userEmail, mealId: favoriteData.mealId });
+        if (exists) return res.send({ success: false, message: 'Meal already in favorites' });
+
+        favoriteData.addedTime = new Date();
+        const result = await favoritesCollection.insertOne(favoriteData);
+        res.send({ success: true, result });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to add favorite', err });
+      }
+    });
+
+    app.get('/favorites', verifyJWT, async (req, res) => {
+      try {
+        const email = req.query.email;
+        if (email !== req.tokenEmail) return res.status(403).send({ message: 'Forbidden' });
+
+        const favorites = await favoritesCollection.find({ userEmail: email }).sort({ addedTime: -1 }).toArray();
+        res.send(favorites);
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to fetch favorites', err });
+      }
+    });
+
+    app.delete('/favorites/:id', verifyJWT, async (req, res) => {
+      try {
+        const favorite = await favoritesCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!favorite) return res.status(404).send({ message: 'Favorite not found' });
+        if (favorite.userEmail !== req.tokenEmail) return res.status(403).send({ message: 'Forbidden' });
+
+        await favoritesCollection.deleteOne({ _id: new ObjectId(req.params.id) });
+        res.send({ success: true, message: 'Favorite deleted' });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to delete favorite', err });
+      }
+    });
+
+    // ===== PRICING =====
+    // Prices always come from add-food; numbers sent by the client are only
+    // compared against them. Money math is done in cents.
+    const toCents = (amount) => Math.round(Number(amount) * 100);
+
+    const priceMeal = async (foodId, quantity) => {
+      if (!ObjectId.isValid(foodId)) return { status: 400, message: 'Invalid meal id' };
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        return { status: 400, message: 'Quantity must be a positive whole number' };
+      }
+
+      const meal = await foodCollection.findOne({ _id: new ObjectId(foodId) });
+      if (!meal) return { status: 404, message: 'Meal not found' };
+
+      const unitPrice = Number(meal.price);
+      if (!(unitPrice > 0)) return { status: 400, message: 'Meal has no valid price' };
+
+      return { meal, unitPrice, total: (toCents(unitPrice) * quantity) / 100 };
+    };
+
+    const priceMismatch = (clientTotal, total) =>
+      clientTotal !== undefined && clientTotal !== null && toCents(clientTotal) !== toCents(total);
+
+    // Single-meal orders keep foodId/quantity at the top level, cart orders keep `items`
+    const orderLines = (order) =>
+      order.items || [{ foodId: order.foodId, quantity: Number(order.quantity ?? 1) }];
+
+    // The lines as priced when the order was placed, in priceLines() form.
+    // Null for orders from before prices were stored on them.
+    const storedLines = (order) => {
+      const items = order.items || [
+        { foodId: order.foodId, mealName: order.mealName, mealImage: order.mealImage, unitPrice: order.unitPrice, quantity: Number(order.quantity ?? 1) },
+      ];
+      if (items.some((item) => !(item.unitPrice > 0))) return null;
+
+      const lines = items.map((item) => ({
+        meal: { _id: new ObjectId(item.foodId), chefId: order.chefId, foodName: item.mealName, foodImage: item.mealImage },
+        unitPrice: item.unitPrice,
+        quantity: item.quantity,
+        total: (toCents(item.unitPrice) * item.quantity) / 100,
+      }));
+      return { lines, total: lines.reduce((sum, line) => sum + toCents(line.total), 0) / 100 };
+    };
+
+    const priceLines = async (lines) => {
+      const priced = [];
+      for (const line of lines) {
+        const result = await priceMeal(line.foodId, line.quantity);
+        if (result.message) return result;
+        priced.push({ ...result, quantity: line.quantity });
+      }
+      const totalCents = priced.reduce((sum, line) => sum + toCents(line.total), 0);
+      return { lines: priced, total: totalCents / 100 };
+    };
+
+    // `metadata` carries orderId or checkoutId so /stripe/webhook can find the orders.
+    // A coupon discount becomes a single-use Stripe coupon on the session.
+    const createCheckoutSession = async (pricedLines, { email, metadata, successQuery, discount = 0, couponCode, deliveryFee = 0 }) => {
+      const discounts = [];
+      if (discount > 0) {
+        const stripeCoupon = await stripe.coupons.create({
+          amount_off: toCents(discount),
+          currency: 'usd',
+          duration: 'once',
+          max_redemptions: 1,
+          name: couponCode,
+        });
+        discounts.push({ coupon: stripeCoupon.id });
+      }
+
+      const lineItems = pricedLines.map((line) => ({
+        price_data: {
+          currency: 'usd',
+          product_data: {
+            name: line.meal.foodName,
+            images: line.meal.foodImage ? [line.meal.foodImage] : [],
+          },
+          unit_amount: toCents(line.unitPrice),
+        },
+        quantity: line.quantity,
+      }));
+      if (deliveryFee > 0) {
+        lineItems.push({
+          price_data: { currency: 'usd', product_data: { name: 'Delivery fee' }, unit_amount: toCents(deliveryFee) },
+          quantity: 1,
+        });
+      }
+
+      return stripe.checkout.sessions.create({
+        payment_method_types: ['card'],
+        line_items: lineItems,
+        customer_email: email,
+        mode: 'payment',
+        discounts,
+        metadata,
+        payment_intent_data: { metadata },
+        success_url: `${process.env.CLIENT_DOMAIN}/payment-success?${successQuery}`,
+        cancel_url: `${process.env.CLIENT_DOMAIN}/dashboard/my-orders`,
+      });
+    };
+
+    // Closes the order's open Stripe session so an old link cannot be paid.
+    // Sessions that already completed or expired cannot be expired again.
+    const expireCheckoutSession = async (order) => {
+      if (!order.checkoutSessionId) return;
+      try {
+        await stripe.checkout.sessions.expire(order.checkoutSessionId);
+      } catch (err) {
+        if (err.type !== 'StripeInvalidRequestError') console.error(`Failed to expire session for order ${order._id}`, err);
+      }
+    };
+
+    // ===== COUPONS =====
+    // Admins create coupons for anything; chefs only for their own meals.
+    // A coupon is checked against the priced lines, then redeemed for one
+    // order. Cancelling or rejecting the order rolls the redemption back.
+    const checkCoupon = async (code, userEmail, pricedLines) => {
+      const coupon = await couponsCollection.findOne({ code: String(code).trim().toUpperCase() });
+      if (!coupon || !coupon.active) return { status: 404, message: 'Coupon not found' };
+      if (coupon.expiresAt <= new Date()) return { status: 400, message: 'Coupon has expired' };
+      if (coupon.maxUses && coupon.usedCount >= coupon.maxUses) return { status: 400, message: 'Coupon has been used up' };
+
+      if (coupon.perUserLimit) {
+        const used = await redemptionsCollection.countDocuments({ couponId: coupon._id, userEmail, status: 'active' });
+        if (used >= coupon.perUserLimit) return { status: 400, message: 'You have already used this coupon' };
+      }
+
+      const orderCents = pricedLines.reduce((sum, line) => sum + toCents(line.total), 0);
+      if (coupon.minOrderValue && orderCents < toCents(coupon.minOrderValue)) {
+        return { status: 400, message: `Coupon needs an order of at least ${Number(coupon.minOrderValue).toFixed(2)}` };
+      }
+
+      const eligibleCents = pricedLines
+        .filter((line) => !coupon.chefId || line.meal.chefId === coupon.chefId)
+        .filter((line) => !coupon.foodId || line.meal._id.toString() === coupon.foodId)
+        .reduce((sum, line) => sum + toCents(line.total), 0);
+      if (!eligibleCents) return { status: 400, message: 'Coupon does not apply to these meals' };
+
+      const discountCents = coupon.type === 'percent'
+        ? Math.round((eligibleCents * coupon.value) / 100)
+        : Math.min(toCents(coupon.value), eligibleCents);
+
+      return { coupon, discount: discountCents / 100 };
+    };
+
+    // Counts the use atomically so both limits hold under concurrency. A user's
+    // redemptions take numbered slots below perUserLimit, and a unique index
+    // lets only one active redemption hold each slot.
+    const redeemCoupon = async (coupon, userEmail, orderId, discount) => {
+      const redemption = {
+        couponId: coupon._id,
+        code: coupon.code,
+        userEmail,
+        orderId: orderId.toString(),
+        discount,
+        status: 'active',
+        createdAt: new Date(),
+      };
+      const slots = coupon.perUserLimit ? [...Array(coupon.perUserLimit).keys()] : [null];
+      let inserted = null;
+      for (const slot of slots) {
+        try {
+          inserted = await redemptionsCollection.insertOne(slot === null ? { ...redemption } : { ...redemption, slot });
+          break;
+        } catch (err) {
+          if (err.code !== 11000) throw err;
+        }
+      }
+      if (!inserted) return { status: 400, message: 'You have already used this coupon' };
+
+      const filter = { _id: coupon._id, active: true, expiresAt: { $gt: new Date() } };
+      if (coupon.maxUses) filter.usedCount = { $lt: coupon.maxUses };
+      const result = await couponsCollection.updateOne(filter, { $inc: { usedCount: 1 } });
+      if (!result.modifiedCount) {
+        await redemptionsCollection.deleteOne({ _id: inserted.insertedId });
+        return { status: 409, message: 'Coupon is no longer available' };
+      }
+      return {};
+    };
+
+    const rollbackCoupon = async (order) => {
+      if (!order.couponCode) return;
+      const redemption = await redemptionsCollection.findOneAndUpdate(
+        { orderId: order._id.toString(), status: 'active' },
+        { $set: { status: 'rolled_back', rolledBackAt: new Date() } }
+      );
+      if (redemption) await couponsCollection.updateOne({ _id: redemption.couponId }, { $inc: { usedCount: -1 } });
+    };
+
+    app.post('/coupons', verifyJWT, requireRole('admin', 'chef'), validateBody(schemas.coupon), async (req, res) => {
+      try {
+        const couponData = req.body;
+        couponData.code = couponData.code.toUpperCase();
+        couponData.expiresAt = new Date(couponData.expiresAt);
+
+        if (couponData.type === 'percent' && couponData.value > 100) {
+          return res.status(400).send({ message: 'Validation failed', errors: [{ field: 'value', message: 'must be at most 100' }] });
+        }
+        if (couponData.expiresAt <= new Date()) {
+          return res.status(400).send({ message: 'Validation failed', errors: [{ field: 'expiresAt', message: 'must be in the future' }] });
+        }
+
+        if (req.user.role === 'chef') {
+          if (couponData.chefId && couponData.chefId !== req.user.chefId) return res.status(403).send({ message: 'Forbidden' });
+          couponData.chefId = req.user.chefId;
+        }
+        if (couponData.foodId) {
+          const meal = await foodCollection.findOne({ _id: new ObjectId(couponData.foodId) });
+          if (!meal) return res.status(404).send({ message: 'Meal not found' });
+          if (couponData.chefId && meal.chefId !== couponData.chefId) {
+            return res.status(400).send({ message: 'Meal does not belong to this chef' });
+          }
+        }
+
+        const result = await couponsCollection.insertOne({
+          ...couponData,
+          usedCount: 0,
+          active: true,
+          createdBy: req.tokenEmail,
+          creatorRole: req.user.role,
+          createdAt: new Date(),
+        });
+        res.send({ success: true, result });
+      } catch (err) {
+        if (err.code === 11000) return res.status(400).send({ message: 'Coupon code already exists' });
+        res.status(500).send({ message: 'Failed to create coupon', err });
+      }
+    });
+
+    app.get('/coupons', verifyJWT, requireRole('admin', 'chef'), async (req, res) => {
+      try {
+        const filter = req.user.role === 'chef' ? { chefId: req.user.chefId } : {};
+        const coupons = await couponsCollection.find(filter).sort({ createdAt: -1 }).toArray();
+        res.send(coupons);
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to fetch coupons', err });
+      }
+    });
+
+    app.patch('/coupons/:id/deactivate', verifyJWT, requireRole('admin', 'chef'), async (req, res) => {
+      try {
+        const filter = { _id: new ObjectId(req.params.id) };
+        if (req.user.role === 'chef') filter.chefId = req.user.chefId;
+        const result = await couponsCollection.updateOne(filter, { $set: { active: false, deactivatedAt: new Date() } });
+        if (!result.matchedCount) return res.status(404).send({ message: 'Coupon not found' });
+        res.send({ success: true });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to deactivate coupon', err });
+      }
+    });
+
+    // Lets the client show the discount before placing the order
+    app.post('/coupons/preview', verifyJWT, validateBody(schemas.couponPreview), async (req, res) => {
+      try {
+        const { code, foodId, quantity = 1 } = req.body;
+        const priced = await priceLines([{ foodId, quantity }]);
+        if (priced.message) return res.status(priced.status).send({ message: priced.message });
+
+        const checked = await checkCoupon(code, req.tokenEmail, priced.lines);
+        if (checked.message) return res.status(checked.status).send({ message: checked.message });
+        res.send({
+          code: checked.coupon.code,
+          subtotal: priced.total,
+          discount: checked.discount,
+          total: (toCents(priced.total) - toCents(checked.discount)) / 100,
+        });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to check coupon', err });
+      }
+    });
+
+    // ===== MEAL AVAILABILITY =====
+    // Chefs set a dailyLimit, availableDays, an availableFrom/availableUntil
+    // window and a soldOut switch. Portions are reserved per meal and kitchen
+    // day in meal_capacity when an order is placed and released when it is
+    // cancelled or rejected. Days and hours are read in KITCHEN_TIME_ZONE.
+    const kitchenTimeZone = process.env.KITCHEN_TIME_ZONE || 'UTC';
+    const availabilityFields = ['dailyLimit', 'availableDays', 'availableFrom', 'availableUntil', 'soldOut'];
+
+    const kitchenClock = (date = new Date()) => {
+      const parts = {};
+      new Intl.DateTimeFormat('en-CA', {
+        timeZone: kitchenTimeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+      })
+        .formatToParts(date)
+        .forEach((part) => (parts[part.type] = part.value));
+      return {
+        day: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: parts.weekday.toLowerCase(),
+        time: `${parts.hour}:${parts.minute}`,
+      };
+    };
+
+    const availabilityError = (meal, clock) => {
+      if (meal.soldOut) return `${meal.foodName} is sold out`;
+      if (meal.availableDays?.length && !meal.availableDays.includes(clock.weekday)) {
+        return `${meal.foodName} is not available on this day`;
+      }
+      if ((meal.availableFrom && clock.time < meal.availableFrom) || (meal.availableUntil && clock.time > meal.availableUntil)) {
+        return `${meal.foodName} is only available between ${meal.availableFrom || '00:00'} and ${meal.availableUntil || '23:59'}`;
+      }
+      return null;
+    };
+
+    // The filter only matches while there is room, so a full day makes the
+    // upsert collide with the existing document instead of over-reserving.
+    // A collision can also mean another request created the day's document
+    // first, so it is retried once as a plain update with the same guard.
+    const tryReserve = async (foodId, day, quantity, limit) => {
+      if (quantity > limit) return false;
+      const filter = { _id: `${foodId}:${day}`, reserved: { $lte: limit - quantity } };
+      try {
+        await capacityCollection.updateOne(
+          filter,
+          { $inc: { reserved: quantity }, $setOnInsert: { foodId, day, createdAt: new Date() } },
+          { upsert: true }
+        );
+        return true;
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        const retry = await capacityCollection.updateOne(filter, { $inc: { reserved: quantity } });
+        return retry.modifiedCount > 0;
+      }
+    };
+
+    const releasePortions = (reservations = []) =>
+      Promise.all(
+        reservations.map(({ foodId, day, quantity }) =>
+          capacityCollection.updateOne({ _id: `${foodId}:${day}` }, { $inc: { reserved: -quantity } })
+        )
+      );
+
+    // All or nothing: a failed line releases what earlier lines reserved
+    // Pre-orders reserve against the day and time of their delivery slot
+    const reservePortions = async (pricedLines, forDate = new Date()) => {
+      const clock = kitchenClock(forDate);
+      const reservations = [];
+      for (const { meal, quantity } of pricedLines) {
+        let error = availabilityError(meal, clock);
+        if (!error && meal.dailyLimit) {
+          const foodId = meal._id.toString();
+          if (await tryReserve(foodId, clock.day, quantity, meal.dailyLimit)) {
+            reservations.push({ foodId, day: clock.day, quantity });
+          } else {
+            error = `Not enough portions of ${meal.foodName} left for ${clock.day}`;
+          }
+        }
+        if (error) {
+          await releasePortions(reservations);
+          return { status: 409, message: error };
+        }
+      }
+      return { reservations };
+    };
+
+    // remainingToday is null for meals without a daily limit
+    const withRemainingToday = async (meals) => {
+      const { day } = kitchenClock();
+      const limited = meals.filter((m) => m.dailyLimit);
+      const usage = limited.length
+        ? await capacityCollection.find({ _id: { $in: limited.map((m) => `${m._id}:${day}`) } }).toArray()
+        : [];
+      const reservedMap = {};
+      usage.forEach((u) => (reservedMap[u.foodId] = u.reserved));
+
+      return meals.map((m) => {
+        let remainingToday = null;
+        if (m.soldOut) remainingToday = 0;
+        else if (m.dailyLimit) remainingToday = Math.max(0, m.dailyLimit - (reservedMap[m._id.toString()] || 0));
+        return { ...m, remainingToday };
+      });
+    };
+
+    // ===== DELIVERY SLOTS =====
+    // Chefs publish time windows with an order cap. A pre-order books one place
+    // in a slot; cancelling gives it back. Unpaid pre-orders are cancelled
+    // automatically PREORDER_PAYMENT_CUTOFF_MINUTES before their slot starts.
+    const preorderCutoffMinutes = Number(process.env.PREORDER_PAYMENT_CUTOFF_MINUTES ?? 60);
+
+    // Slots starting before this are past the payment cutoff: unpaid orders
+    // in them are cancelled, so they can no longer be booked either
+    const preorderCutoff = () => new Date(Date.now() + preorderCutoffMinutes * 60 * 1000);
+
+    // Booking only succeeds while the slot is before the cutoff and below its cap
+    const bookSlot = async (slotId, meal) => {
+      const slot = await slotsCollection.findOne({ _id: new ObjectId(slotId) });
+      if (!slot || slot.chefId !== meal.chefId) return { status: 404, message: 'Delivery slot not found' };
+      if (slot.foodIds?.length && !slot.foodIds.includes(meal._id.toString())) {
+        return { status: 400, message: 'This slot is not offered for this meal' };
+      }
+
+      const result = await slotsCollection.updateOne(
+        { _id: slot._id, start: { $gt: preorderCutoff() }, $expr: { $lt: ['$booked', '$capacity'] } },
+        { $inc: { booked: 1 } }
+      );
+      if (!result.modifiedCount) return { status: 409, message: 'This delivery slot is full or too close to book' };
+      return { slot };
+    };
+
+    const releaseSlot = (order) =>
+      order.slotId ? slotsCollection.updateOne({ _id: new ObjectId(order.slotId) }, { $inc: { booked: -1 } }) : null;
+
+    app.post('/chef/slots', verifyJWT, requireRole('chef'), validateBody(schemas.deliverySlot), async (req, res) => {
+      try {
+        const start = new Date(req.body.start);
+        const end = new Date(req.body.end);
+        if (start <= new Date()) return res.status(400).send({ message: 'Slot must start in the future' });
+        if (end <= start) return res.status(400).send({ message: 'Slot must end after it starts' });
+
+        const foodIds = req.body.foodIds || [];
+        if (foodIds.length) {
+          const owned = await foodCollection.countDocuments({
+            _id: { $in: foodIds.map((id) => new ObjectId(id)) },
+            chefId: req.user.chefId,
+          });
+          if (owned !== foodIds.length) return res.status(400).send({ message: 'Slots can only list your own meals' });
+        }
+
+        const result = await slotsCollection.insertOne({
+          chefId: req.user.chefId,
+          foodIds,
+          start,
+          end,
+          capacity: req.body.capacity,
+          booked: 0,
+          createdAt: new Date(),
+        });
+        res.send({ success: true, result });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to create delivery slot', err });
+      }
+    });
+
+    app.get('/chef/slots', verifyJWT, requireRole('chef'), async (req, res) => {
+      try {
+        const slots = await slotsCollection
+          .find({ chefId: req.user.chefId, end: { $gte: new Date() } })
+          .sort({ start: 1 })
+          .toArray();
+        res.send(slots);
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to fetch delivery slots', err });
+      }
+    });
+
+    app.delete('/chef/slots/:id', verifyJWT, requireRole('chef'), async (req, res) => {
+      try {
+        const result = await slotsCollection.deleteOne({ _id: new ObjectId(req.params.id), chefId: req.user.chefId, booked: 0 });
+        if (!result.deletedCount) return res.status(400).send({ message: 'Slot not found or already has orders' });
+        res.send({ success: true, message: 'Delivery slot deleted' });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to delete delivery slot', err });
+      }
+    });
+
+    // Upcoming slots a customer can still book for a meal
+    app.get('/add-food/:id/slots', async (req, res) => {
+      try {
+        const meal = await foodCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!meal) return res.status(404).send({ message: 'Meal not found' });
+
+        const slots = await slotsCollection
+          .find({
+            chefId: meal.chefId,
+            start: { $gt: preorderCutoff() },
+            $or: [{ foodIds: { $size: 0 } }, { foodIds: req.params.id }],
+            $expr: { $lt: ['$booked', '$capacity'] },
+          })
+          .sort({ start: 1 })
+          .toArray();
+        res.send(slots.map(({ _id, start, end, capacity, booked }) => ({ _id, start, end, remaining: capacity - booked })));
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to fetch delivery slots', err });
+      }
+    });
+
+    const cancelUnpaidPreorders = async () => {
+      const cutoff = preorderCutoff();
+      const due = await ordersCollection
+        .find({
+          slotId: { $exists: true },
+          orderStatus: { $in: ['pending', 'accepted'] },
+          paidAt: { $exists: false },
+          'deliveryWindow.start': { $lte: cutoff },
+        })
+        .toArray();
+
+      for (const order of due) {
+        const note = 'Not paid before the delivery slot';
+        const result = await ordersCollection.updateOne(
+          { _id: order._id, orderStatus: order.orderStatus, paidAt: { $exists: false } },
+          {
+            $set: { orderStatus: 'cancelled' },
+            $push: { statusHistory: { from: order.orderStatus, to: 'cancelled', actor: 'system', actorRole: 'system', at: new Date(), note } },
+          }
+        );
+        if (!result.modifiedCount) continue;
+
+        await releasePortions(order.reservations);
+        await releaseSlot(order);
+        await rollbackCoupon(order);
+        await expireCheckoutSession(order);
+        publishOrderEvent('order.status', order, { from: order.orderStatus, orderStatus: 'cancelled', note }, { forChef: true });
+        notifyOrderStatus(order, 'cancelled');
+      }
+    };
+
+    // ===== KITCHEN LOCATION =====
+    // A chef's kitchen is a GeoJSON point with a delivery radius and an optional
+    // per-km fee. It is copied onto each of the chef's meals (meal.kitchen) so
+    // meals can be searched by distance with the 2dsphere index.
+    const isValidLocation = (lat, lng) =>
+      Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+    const toPoint = (lat, lng) => ({ type: 'Point', coordinates: [lng, lat] });
+
+    // Great-circle distance in km
+    const distanceKm = (from, to) => {
+      const [lng1, lat1] = from.coordinates.map((deg) => (deg * Math.PI) / 180);
+      const [lng2, lat2] = to.coordinates.map((deg) => (deg * Math.PI) / 180);
+      const a = Math.sin((lat2 - lat1) / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2;
+      return 2 * 6371 * Math.asin(Math.sqrt(a));
+    };
+
+    // Returns { distanceKm, deliveryFee } or { status, message }. Meals whose
+    // chef has no kitchen location deliver anywhere for free.
+    const quoteDelivery = (meal, lat, lng) => {
+      if (!meal.kitchen) return { distanceKm: null, deliveryFee: 0 };
+      if (!isValidLocation(lat, lng)) return { status: 400, message: 'Delivery location (deliveryLat, deliveryLng) is required' };
+
+      const distance = distanceKm(meal.kitchen.location, toPoint(lat, lng));
+      if (distance > meal.kitchen.deliveryRadiusKm) {
+        return { status: 400, message: `${meal.chefName || 'This chef'} does not deliver to this address` };
+      }
+      return {
+        distanceKm: Math.round(distance * 100) / 100,
+        deliveryFee: toCents(distance * (meal.kitchen.deliveryFeePerKm || 0)) / 100,
+      };
+    };
+
+    app.get('/chef/kitchen', verifyJWT, requireRole('chef'), (req, res) => {
+      res.send(req.user.kitchen || null);
+    });
+
+    app.put('/chef/kitchen', verifyJWT, requireRole('chef'), validateBody(schemas.kitchen), async (req, res) => {
+      try {
+        const { lat, lng, deliveryRadiusKm, deliveryFeePerKm = 0 } = req.body;
+        const kitchen = { location: toPoint(lat, lng), deliveryRadiusKm, deliveryFeePerKm };
+
+        await usersCollection.updateOne({ _id: req.user._id }, { $set: { kitchen: { ...kitchen, updatedAt: new Date() } } });
+        const result = await foodCollection.updateMany({ chefId: req.user.chefId }, { $set: { kitchen } });
+        res.send({ success: true, kitchen, mealsUpdated: result.modifiedCount });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to update kitchen', err });
+      }
+    });
+
+    // ===== CHEF PROFILES =====
+    // Public profile fields live in user.chefProfile; approval seeds them from
+    // the chef request. Customers follow chefs and get their new meals in /feed.
+    const findPublicChef = (chefId) =>
+      usersCollection.findOne({ role: 'chef', chefId, status: { $nin: restrictedStatuses } });
+
+    app.get('/chefs/:chefId', async (req, res) => {
+      try {
+        const chef = await findPublicChef(req.params.chefId);
+        if (!chef) return res.status(404).send({ message: 'Chef not found' });
+
+        const meals = await foodCollection.find({ chefId: chef.chefId }).sort({ _id: -1 }).toArray();
+        const mealIds = meals.map((meal) => meal._id.toString());
+
+        const [[rating], deliveredOrders, followers] = await Promise.all([
+          reviewsCollection.aggregate([
+            { $match: { foodId: { $in: mealIds } } },
+            { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+          ]).toArray(),
+          ordersCollection.countDocuments({ chefId: chef.chefId, orderStatus: 'delivered' }),
+          followsCollection.countDocuments({ chefId: chef.chefId }),
+        ]);
+
+        res.send({
+          chefId: chef.chefId,
+          name: chef.name,
+          photoURL: chef.photoURL,
+          bio: chef.chefProfile?.bio || '',
+          cuisine: chef.chefProfile?.cuisine || '',
+          kitchenName: chef.chefProfile?.kitchenName || '',
+          kitchenPhoto: chef.chefProfile?.kitchenPhoto || null,
+          memberSince: chef.createdAt,
+          rating: { average: rating ? Math.round(rating.average * 100) / 100 : 0, count: rating?.count || 0 },
+          deliveredOrders,
+          followers,
+          meals: await withRemainingToday(meals.filter((meal) => !meal.soldOut)),
+        });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to fetch chef profile', err });
+      }
+    });
+
+    app.patch('/chef/profile', verifyJWT, requireRole('chef'), validateBody(schemas.chefProfile, { partial: true }), async (req, res) => {
+      try {
+        const update = {};
+        Object.entries(req.body).forEach(([field, value]) => (update[`chefProfile.${field}`] = value));
+        if (!Object.keys(update).length) return res.status(400).send({ message: 'Nothing to update' });
+
+        await usersCollection.updateOne({ _id: req.user._id }, { $set: update });
+        res.send({ success: true });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to update chef profile', err });
+      }
+    });
+
+    app.post('/chefs/:chefId/follow', verifyJWT, async (req, res) => {
+      try {
+        const chef = await findPublicChef(req.params.chefId);
+        if (!chef) return res.status(404).send({ message: 'Chef not found' });
+        if (chef.email === req.tokenEmail) return res.status(400).send({ message: 'You cannot follow yourself' });
+
+        await followsCollection.updateOne(
+          { userEmail: req.tokenEmail, chefId: chef.chefId },
+          { $setOnInsert: { createdAt: new Date() } },
+          { upsert: true }
+        );
+        res.send({ success: true, following: true });
+      } catch (err) {
+        if (err.code === 11000) return res.send({ success: true, following: true });
+        res.status(500).send({ message: 'Failed to follow chef', err });
+      }
+    });
+
+    app.delete('/chefs/:chefId/follow', verifyJWT, async (req, res) => {
+      try {
+        await followsCollection.deleteOne({ userEmail: req.tokenEmail, chefId: req.params.chefId });
+        res.send({ success: true, following: false });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to unfollow chef', err });
+      }
+    });
+
+    app.get('/following', verifyJWT, async (req, res) => {
+      try {
+        const follows = await followsCollection.find({ userEmail: req.tokenEmail }).sort({ createdAt: -1 }).toArray();
+        res.send(follows);
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to fetch followed chefs', err });
+      }
+    });
+
+    // Newest meals from followed chefs. Pass the returned nextCursor as
+    // ?cursor= to get the next page; it is null on the last page.
+    app.get('/feed', verifyJWT, async (req, res) => {
+      try {
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+        const { cursor } = req.query;
+        if (cursor && !ObjectId.isValid(cursor)) return res.status(400).send({ message: 'Invalid cursor' });
+
+        const follows = await followsCollection.find({ userEmail: req.tokenEmail }).toArray();
+        const hiddenChefIds = await usersCollection.distinct('chefId', { role: 'chef', status: { $in: restrictedStatuses } });
+        const chefIds = follows.map((follow) => follow.chefId).filter((chefId) => !hiddenChefIds.includes(chefId));
+        if (!chefIds.length) return res.send({ meals: [], nextCursor: null });
+
+        const filter = { chefId: { $in: chefIds } };
+        if (cursor) filter._id = { $lt: new ObjectId(cursor) };
+
+        // One extra meal tells whether there is a next page
+        const meals = await foodCollection.find(filter).sort({ _id: -1 }).limit(limit + 1).toArray();
+        const hasMore = meals.length > limit;
+        const page = meals.slice(0, limit);
+        res.send({
+          meals: await withRemainingToday(page),
+          nextCursor: hasMore ? page[page.length - 1]._id.toString() : null,
+        });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to fetch feed', err });
+      }
+    });
+
+    // ===== NOTIFICATIONS =====
+    // In-app alerts per user. Categories: order_status, new_order, role_request
+    // and review. A category is on unless the user's notificationPreferences
+    // turn it off.
+    const orderLabel = (order) => order.mealName || `${order.items?.length || 0} meals`;
+
+    // Never throws: a lost alert must not fail the request that caused it
+    const notify = async (userEmail, category, { title, message, link = null, data = {} }) => {
+      try {
+        const user = await usersCollection.findOne({ email: userEmail }, { projection: { notificationPreferences: 1 } });
+        if (!user || user.notificationPreferences?.[category] === false) return;
+
+        await notificationsCollection.insertOne({
+          userEmail,
+          category,
+          title,
+          message,
+          link,
+          data,
+          read: false,
+          createdAt: new Date(),
+        });
+      } catch (err) {
+        console.error('Failed to create notification', err);
+      }
+    };
+
+    const notifyChef = async (chefId, category, content) => {
+      const chef = await usersCollection.findOne({ chefId }, { projection: { email: 1 } }).catch(() => null);
+      if (chef) await notify(chef.email, category, content);
+    };
+
+    // In-app alert and email for the chef
+    const notifyNewOrder = async (order) => {
+      const chef = await usersCollection.findOne({ chefId: order.chefId }, { projection: { email: 1 } }).catch(() => null);
+      if (!chef) return;
+      notify(chef.email, 'new_order', {
+        title: 'New order',
+        message: `New order for ${orderLabel(order)} (${order.quantity} portions)`,
+        link: '/dashboard/order-requests',
+        data: { orderId: order._id.toString() },
+      });
+      mailer.sendTemplate('newOrderForChef', chef.email, { order });
+    };
+
+    const notifyOrderStatus = (order, status) =>
+      notify(order.userEmail, 'order_status', {
+        title: 'Order update',
+        message: `Your order for ${orderLabel(order)} is now ${status.replace(/_/g, ' ')}`,
+        link: '/dashboard/my-orders',
+        data: { orderId: order._id.toString(), orderStatus: status },
+      });
+
+    app.get('/notifications', verifyJWT, async (req, res) => {
+      try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const filter = { userEmail: req.tokenEmail };
+        if (req.query.unread === 'true') filter.read = false;
+
+        const [notifications, totalCount, unreadCount] = await Promise.all([
+          notificationsCollection.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+          notificationsCollection.countDocuments(filter),
+          notificationsCollection.countDocuments({ userEmail: req.tokenEmail, read: false }),
+        ]);
+        res.send({ notifications, totalCount, unreadCount });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to fetch notifications', err });
+      }
+    });
+
+    app.patch('/notifications/read-all', verifyJWT, async (req, res) => {
+      try {
+        const result = await notificationsCollection.updateMany(
+          { userEmail: req.tokenEmail, read: false },
+          { $set: { read: true, readAt: new Date() } }
+        );
+        res.send({ success: true, updated: result.modifiedCount });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to update notifications', err });
+      }
+    });
+
+    app.patch('/notifications/:id/read', verifyJWT, async (req, res) => {
+      try {
+        const result = await notificationsCollection.updateOne(
+          { _id: new ObjectId(req.params.id), userEmail: req.tokenEmail },
+          { $set: { read: true, readAt: new Date() } }
+        );
+        if (!result.matchedCount) return res.status(404).send({ message: 'Notification not found' });
+        res.send({ success: true });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to update notification', err });
+      }
+    });
+
+    app.get('/notifications/preferences', verifyJWT, loadUser, async (req, res) => {
+      const saved = req.user?.notificationPreferences || {};
+      const preferences = {};
+      schemas.notificationPreferences.updatable.forEach((category) => (preferences[category] = saved[category] !== false));
+      res.send(preferences);
+    });
+
+    app.patch(
+      '/notifications/preferences',
+      verifyJWT,
+      validateBody(schemas.notificationPreferences, { partial: true }),
+      async (req, res) => {
+        try {
+          const update = {};
+          Object.entries(req.body).forEach(([category, enabled]) => (update[`notificationPreferences.${category}`] = enabled));
+          const result = await usersCollection.updateOne({ email: req.tokenEmail }, { $set: update });
+          if (!result.matchedCount) return res.status(404).send({ message: 'User not found' });
+          res.send({ success: true });
+        } catch (err) {
+          res.status(500).send({ message: 'Failed to update preferences', err });
+        }
+      }
+    );
+
+    // ===== ORDER EVENTS (SSE) =====
+    // Order changes are stored in order_events and pushed to open streams.
+    // Customers see events for their own orders; chefs see new orders and
+    // cancellations for their chefId. Stored ids let clients resume after a drop.
+    const streamClients = new Set();
+
+    const eventVisibleTo = (event, client) =>
+      event.userEmail === client.email || (!!client.chefId && event.forChef && event.chefId === client.chefId);
+
+    const writeStreamEvent = (res, event) => {
+      const { _id, type, orderId, data, createdAt } = event;
+      res.write(`id: ${_id}\nevent: ${type}\ndata: ${JSON.stringify({ orderId, ...data, createdAt })}\n\n`);
+    };
+
+    // Never throws: a failed push must not fail the request that caused it
+    const publishOrderEvent = async (type, order, data, { forChef = false } = {}) => {
+      try {
+        const event = {
+          type,
+          orderId: order._id.toString(),
+          userEmail: order.userEmail,
+          chefId: order.chefId,
+          forChef,
+          data,
+          createdAt: new Date(),
+        };
+        const { insertedId } = await orderEventsCollection.insertOne(event);
+        event._id = insertedId;
+        streamClients.forEach((client) => {
+          if (eventVisibleTo(event, client)) writeStreamEvent(client.res, event);
+        });
+      } catch (err) {
+        console.error('Failed to publish order event', err);
+      }
+    };
+
+    // EventSource cannot send headers, so the Firebase token may also come as ?token=
+    app.get('/orders/stream', async (req, res) => {
+      const token = req.headers.authorization?.split(' ')[1] || req.query.token;
+      if (!token) return res.status(401).send({ message: 'Unauthorized Access!' });
+
+      let email;
+      try {
+        email = (await admin.auth().verifyIdToken(token)).email;
+      } catch (err) {
+        return res.status(401).send({ message: 'Unauthorized Access!', err });
+      }
+
+      try {
+        const user = await usersCollection.findOne({ email });
+        const client = { res, email, chefId: user?.role === 'chef' ? user.chefId : null };
+
+        res.set({
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          Connection: 'keep-alive',
+        });
+        res.flushHeaders();
+
+        // Registered before the replay so nothing falls in between; a client
+        // may see an event twice and should ignore repeated ids.
+        streamClients.add(client);
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+        req.on('close', () => {
+          clearInterval(heartbeat);
+          streamClients.delete(client);
+        });
+
+        const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+        if (lastEventId && ObjectId.isValid(lastEventId)) {
+          const audience = [{ userEmail: email }];
+          if (client.chefId) audience.push({ chefId: client.chefId, forChef: true });
+          const missed = await orderEventsCollection
+            .find({ _id: { $gt: new ObjectId(lastEventId) }, $or: audience })
+            .sort({ _id: 1 })
+            .toArray();
+          missed.forEach((event) => writeStreamEvent(res, event));
+        }
+      } catch (err) {
+        console.error(err);
+        res.end();
+      }
+    });
+
+    // ===== ORDERS =====
+    app.post('/orders', verifyJWT, idempotent, requireActive, validateBody(schemas.order), async (req, res) => {
+      try {
+        const orderData = req.body;
+        orderData.userEmail = req.tokenEmail;
+        const quantity = Number(orderData.quantity ?? 1);
+
+        const priced = await priceMeal(orderData.foodId, quantity);
+        if (priced.message) return res.status(priced.status).send({ message: priced.message });
+
+        let coupon = null;
+        let discount = 0;
+        if (orderData.couponCode) {
+          const checked = await checkCoupon(orderData.couponCode, req.tokenEmail, [{ ...priced, quantity }]);
+          if (checked.message) return res.status(checked.status).send({ message: checked.message });
+          ({ coupon, discount } = checked);
+        }
+
+        const delivery = quoteDelivery(priced.meal, orderData.deliveryLat, orderData.deliveryLng);
+        if (delivery.message) return res.status(delivery.status).send({ message: delivery.message });
+
+        const total = (toCents(priced.total) - toCents(discount) + toCents(delivery.deliveryFee)) / 100;
+
+        // `price` from the client is the order total it displayed
+        if (priceMismatch(orderData.price, total)) {
+          return res.status(400).send({
+            message: `Price mismatch: expected ${total.toFixed(2)}, got ${orderData.price}`,
+            expectedTotal: total,
+          });
+        }
+
+        orderData._id = new ObjectId();
+        orderData.quantity = quantity;
+        orderData.unitPrice = priced.unitPrice;
+        orderData.subtotal = priced.total;
+        orderData.discount = discount;
+        orderData.couponCode = coupon?.code;
+        orderData.deliveryFee = delivery.deliveryFee;
+        orderData.distanceKm = delivery.distanceKm;
+        if (isValidLocation(orderData.deliveryLat, orderData.deliveryLng)) {
+          orderData.deliveryLocation = toPoint(orderData.deliveryLat, orderData.deliveryLng);
+        }
+        delete orderData.deliveryLat;
+        delete orderData.deliveryLng;
+        orderData.price = total;
+        orderData.mealName = priced.meal.foodName;
+        orderData.mealImage = priced.meal.foodImage;
+        orderData.chefId = priced.meal.chefId;
+        orderData.orderTime = new Date();
+        orderData.orderStatus = 'pending';
+        orderData.paymentStatus = 'pending';
+        orderData.statusHistory = [
+          { from: null, to: 'pending', actor: req.tokenEmail, actorRole: 'customer', at: orderData.orderTime },
+        ];
+
+        let slot = null;
+        if (orderData.slotId) {
+          const booked = await bookSlot(orderData.slotId, priced.meal);
+          if (booked.message) return res.status(booked.status).send({ message: booked.message });
+          slot = booked.slot;
+          orderData.deliveryWindow = { start: slot.start, end: slot.end };
+        }
+
+        const reserved = await reservePortions([{ meal: priced.meal, quantity }], slot?.start);
+        if (reserved.message) {
+          await releaseSlot(orderData);
+          return res.status(reserved.status).send({ message: reserved.message });
+        }
+        orderData.reservations = reserved.reservations;
+
+        if (coupon) {
+          const redeemed = await redeemCoupon(coupon, req.tokenEmail, orderData._id, discount);
+          if (redeemed.message) {
+            await releasePortions(orderData.reservations);
+            await releaseSlot(orderData);
+            return res.status(redeemed.status).send({ message: redeemed.message });
+          }
+        }
+
+        let result;
+        try {
+          result = await ordersCollection.insertOne(orderData);
+        } catch (err) {
+          await releasePortions(orderData.reservations);
+          await releaseSlot(orderData);
+          await rollbackCoupon(orderData);
+          throw err;
+        }
+        publishOrderEvent(
+          'order.created',
+          { ...orderData, _id: result.insertedId },
+          { orderStatus: 'pending', paymentStatus: 'pending', mealName: orderData.mealName, quantity: orderData.quantity },
+          { forChef: true }
+        );
+        notifyNewOrder({ ...orderData, _id: result.insertedId });
+        res.send({ success: true, result });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to place order', err });
+      }
+    });
+
+    app.get('/orders', verifyJWT, async (req, res) => {
+      try {
+        const email = req.query.email;
+        if (email !== req.tokenEmail) return res.status(403).send({ message: 'Forbidden' });
+
+        // Archived orders are hidden unless asked for
+        const filter = { userEmail: email };
+        if (req.query.archived !== 'true') filter.archived = { $ne: true };
+
+        const orders = await ordersCollection.find(filter).toArray();
+        res.send(orders);
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to fetch orders', err });
+      }
+    });
+
+    const sendPdf = (res, filename, pdf) => {
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(pdf);
+    };
+
+    // PDF receipt for a paid order: for its customer, its chef or an admin
+    app.get('/orders/:id/receipt', verifyJWT, loadUser, async (req, res) => {
+      try {
+        const order = await ordersCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!order) return res.status(404).send({ message: 'Order not found' });
+        if (order.userEmail !== req.tokenEmail && !isOrderChef(req.user, order) && req.user?.role !== 'admin') {
+          return res.status(403).send({ message: 'Forbidden' });
+        }
+        if (!order.paidAt) return res.status(400).send({ message: 'Order is not paid yet' });
+
+        const chef = await usersCollection.findOne({ role: 'chef', chefId: order.chefId });
+        sendPdf(res, `receipt-${order._id}.pdf`, await renderReceipt(order, chef));
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to create receipt', err });
+      }
+    });
+
+    // ===== REFUNDS =====
+    // Refunds go against the order's stored payment intent. Cart orders share
+    // one intent, so each refund is capped at that order's own price.
+    const refundableAmount = (order) => (toCents(order.price) - toCents(order.refundedAmount || 0)) / 100;
+
+    const centsOf = (field) => ({ $round: [{ $multiply: [{ $ifNull: [field, 0] }, 100] }, 0] });
+
+    // Moves `amount` in or out of the order's refundedAmount in one update.
+    // Claims only succeed while refunded + amount <= price, so concurrent
+    // refunds can never add up to more than the order was paid.
+    const claimRefund = (orderId, amount) =>
+      ordersCollection.updateOne(
+        { _id: orderId, $expr: { $lte: [{ $add: [centsOf('$refundedAmount'), toCents(amount)] }, centsOf('$price')] } },
+        [{ $set: { refundedAmount: { $round: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, 2] } } }]
+      );
+
+    const releaseRefund = (orderId, amount) =>
+      ordersCollection.updateOne(
+        { _id: orderId },
+        [{ $set: { refundedAmount: { $round: [{ $subtract: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, 2] } } }]
+      );
+
+    // Records the outcome on the order either way; returns the refund entry.
+    // The amount is claimed before Stripe is called and given back if it fails.
+    const refundOrder = async (order, amount, { reason, actor, idempotencyKey }) => {
+      const entry = { amount, reason: reason || null, actor, at: new Date() };
+
+      const claimed = await claimRefund(order._id, amount);
+      if (!claimed.modifiedCount) {
+        entry.status = 'rejected';
+        entry.error = 'Refund exceeds the refundable amount';
+        return entry;
+      }
+
+      try {
+        const refund = await stripe.refunds.create(
+          {
+            payment_intent: order.paymentIntentId,
+            amount: toCents(amount),
+            metadata: { orderId: order._id.toString(), reason: reason || '' },
+          },
+          idempotencyKey ? { idempotencyKey } : undefined
+        );
+        entry.refundId = refund.id;
+        entry.status = refund.status;
+      } catch (err) {
+        entry.status = 'failed';
+        entry.error = err.message;
+      }
+
+      if (entry.status === 'failed') {
+        await releaseRefund(order._id, amount);
+        await ordersCollection.updateOne({ _id: order._id }, { $set: { refundStatus: entry.status }, $push: { refunds: entry } });
+      } else {
+        await ordersCollection.updateOne({ _id: order._id }, [
+          {
+            $set: {
+              refundStatus: entry.status,
+              refundedAt: entry.at,
+              paymentStatus: { $cond: [{ $gte: [centsOf('$refundedAmount'), centsOf('$price')] }, 'refunded', 'partially_refunded'] },
+              refunds: { $concatArrays: [{ $ifNull: ['$refunds', []] }, [{ $literal: entry }]] },
+            },
+          },
+        ]);
+        await recordReversal(order, entry);
+      }
+      publishOrderEvent('order.refund', order, { refundStatus: entry.status, amount });
+      return entry;
+    };
+
+    // Manual, possibly partial refund by an admin
+    app.post('/admin/orders/:id/refund', verifyJWT, requireRole('admin'), validateBody(schemas.refund), async (req, res) => {
+      try {
+        const { amount, reason } = req.body;
+        const order = await ordersCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!order) return res.status(404).send({ message: 'Order not found' });
+        if (!order.paymentIntentId || !order.paidAt) return res.status(400).send({ message: 'Order has no payment to refund' });
+
+        const remaining = refundableAmount(order);
+        if (toCents(amount) > toCents(remaining)) {
+          return res.status(400).send({ message: `Refund exceeds the refundable amount of ${remaining.toFixed(2)}` });
+        }
+
+        const refund = await refundOrder(order, amount, { reason, actor: req.tokenEmail });
+        if (refund.status === 'rejected') return res.status(400).send({ message: refund.error, refund });
+        if (refund.status === 'failed') return res.status(500).send({ message: 'Refund failed', refund });
+        res.send({ success: true, refund });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to refund order', err });
+      }
+    });
+
+    // ===== UPDATE ORDER STATUS =====
+    // Allowed moves per current status, and who may make them. Statuses missing
+    // here (delivered, cancelled, rejected) are final.
+    const orderTransitions = {
+      pending: { accepted: 'chef', rejected: 'chef', cancelled: 'customer' },
+      accepted: { preparing: 'chef', cancelled: 'chef' },
+      preparing: { out_for_delivery: 'chef', cancelled: 'chef' },
+      out_for_delivery: { delivered: 'chef' },
+    };
+    const closedStatuses = ['cancelled', 'rejected'];
+
+    app.patch('/orders/:id/status', verifyJWT, loadUser, validateBody(schemas.orderStatus), async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { status, note } = req.body;
+
+        const order = await ordersCollection.findOne({_id: new ObjectId(id)});
+        if(!order) return res.status(404).send({message:'Order not found'});
+
+        const isCustomer = order.userEmail === req.tokenEmail;
+        const isChef = isOrderChef(req.user, order);
+        if(!isCustomer && !isChef) return res.status(403).send({message:'Forbidden'});
+
+        // RULES
+        const allowed = orderTransitions[order.orderStatus];
+        if(!allowed) return res.status(400).send({message:'Order already closed'});
+        if(!allowed[status]){
+          return res.status(400).send({message:`Cannot move order from ${order.orderStatus} to ${status}`});
+        }
+
+        const actorRole = allowed[status];
+        if((actorRole === 'chef' && !isChef) || (actorRole === 'customer' && !isCustomer)){
+          return res.status(403).send({message:`Only the ${actorRole} can set this order to ${status}`});
+        }
+        if(status === 'delivered' && !order.paidAt){
+          return res.status(400).send({message:'Order must be paid before delivery'});
+        }
+
+        // Matching on the current status makes the move atomic
+        const result = await ordersCollection.updateOne(
+          {_id: new ObjectId(id), orderStatus: order.orderStatus},
+          {
+            $set:{orderStatus:status},
+            $push:{statusHistory:{ from: order.orderStatus, to: status, actor: req.tokenEmail, actorRole, at: new Date(), note: note || null }},
+          }
+        );
+        if(!result.matchedCount) return res.status(409).send({message:'Order status changed, please retry'});
+
+        publishOrderEvent(
+          'order.status',
+          order,
+          { from: order.orderStatus, orderStatus: status, note: note || null },
+          { forChef: status === 'cancelled' }
+        );
+
+        // Tell whoever did not make the change
+        if(actorRole === 'chef'){
+          notifyOrderStatus(order, status);
+          mailer.sendTemplate('orderStatus', order.userEmail, { order, status, note });
+        }
+        else notifyChef(order.chefId, 'order_status', {
+          title: 'Order cancelled',
+          message: `The customer cancelled the order for ${orderLabel(order)}`,
+          link: '/dashboard/order-requests',
+          data: { orderId: order._id.toString(), orderStatus: status },
+        });
+
+        if(closedStatuses.includes(status)){
+          await releasePortions(order.reservations);
+          await releaseSlot(order);
+          await rollbackCoupon(order);
+          if(!order.paidAt) await expireCheckoutSession(order);
+        }
+
+        // Cancelling or rejecting a paid order gives the money back
+        let refund = null;
+        if(closedStatuses.includes(status) && order.paidAt && order.paymentIntentId && refundableAmount(order) > 0){
+          refund = await refundOrder(order, refundableAmount(order), {
+            reason: note || `Order ${status}`,
+            actor: req.tokenEmail,
+            idempotencyKey: `cancel-refund-${order._id}`,
+          });
+        }
+
+        res.send({success:true,result,refund});
+      } catch (err) {
+        res.status(500).send({message:'Failed to update order status', err});
+      }
+    });
+
+    // ===== STRIPE WEBHOOK =====
+    // The only place an order becomes paid. Each applied event id is pushed onto
+    // the order in the same update, so a redelivered event matches nothing.
+    // Cart checkouts pay several orders at once and are matched by checkoutId.
+    const orderFilterFromMetadata = (metadata) => {
+      if (metadata?.checkoutId) return { checkoutId: metadata.checkoutId };
+      const orderId = metadata?.orderId;
+      return orderId && ObjectId.isValid(orderId) ? { _id: new ObjectId(orderId) } : null;
+    };
+
+    // A payment for an order that was closed, or already paid through another
+    // session, is refunded straight away. It is kept apart from the order's own
+    // payment and refunds.
+    const refundStrayPayment = async (order, paymentIntentId, amount, event) => {
+      const entry = { paymentIntentId, amount, eventId: event.id, at: new Date() };
+      try {
+        const refund = await stripe.refunds.create(
+          {
+            payment_intent: paymentIntentId,
+            amount: toCents(amount),
+            metadata: { orderId: order._id.toString(), reason: 'Payment for a closed or already paid order' },
+          },
+          { idempotencyKey: `stray-refund-${event.id}-${order._id}` }
+        );
+        entry.refundId = refund.id;
+        entry.status = refund.status;
+      } catch (err) {
+        console.error(`Failed to refund stray payment on order ${order._id}`, err);
+        entry.status = 'failed';
+        entry.error = err.message;
+      }
+      await ordersCollection.updateOne({ _id: order._id }, { $push: { strayPayments: entry } });
+    };
+
+    app.post('/stripe/webhook', async (req, res) => {
+      let event;
+      try {
+        event = stripe.webhooks.constructEvent(
+          req.rawBody,
+          req.headers['stripe-signature'],
+          process.env.STRIPE_WEBHOOK_SECRET
+        );
+      } catch (err) {
+        return res.status(400).send({ message: `Webhook signature verification failed: ${err.message}` });
       }
-    });
 
-    app.get('/reviews', verifyJWT, async (req, res) => {
       try {
-        const email = req.query.email;
-        if (email !== req.tokenEmail) return res.status(403).send({ message: 'Forbidden' });
-
-        const reviews = await reviewsCollection.find({ reviewerEmail: email }).sort({ date: -1 }).toArray();
-
-        const foodIds = reviews.map(r => new ObjectId(r.foodId));
-        const foods = await foodCollection.find({ _id: { $in: foodIds } }).toArray();
-        const foodMap = {};
-        foods.forEach(f => (foodMap[f._id.toString()] = f.foodName));
+        const object = event.data.object;
+        let filter = null;
+        let update = null;
+
+        switch (event.type) {
+          case 'checkout.session.completed':
+            if (object.payment_status !== 'paid') break;
+            filter = orderFilterFromMetadata(object.metadata);
+            update = {
+              paymentStatus: 'paid',
+              paidAt: new Date(),
+              stripeSessionId: object.id,
+              paymentIntentId: object.payment_intent,
+            };
+            break;
+
+          case 'payment_intent.payment_failed':
+            filter = orderFilterFromMetadata(object.metadata);
+            // A late failure from an earlier attempt must not undo a payment
+            if (filter) filter.paymentStatus = { $ne: 'paid' };
+            update = {
+              paymentStatus: 'failed',
+              paymentError: object.last_payment_error?.message || null,
+            };
+            break;
+
+          // Per-order amounts are recorded when we issue the refund; this
+          // confirms it, or flags a refund made from the Stripe dashboard.
+          // Matching the payment intent skips refunds of stray payments.
+          case 'charge.refunded':
+            if (!object.payment_intent) break;
+            filter = { ...orderFilterFromMetadata(object.metadata), paymentIntentId: object.payment_intent };
+            // A cart charge pays the whole group; only the orders holding one
+            // of the charge's refunds are confirmed
+            if (filter.checkoutId) {
+              const refunds = object.refunds?.data ?? (await stripe.refunds.list({ charge: object.id, limit: 100 })).data;
+              filter['refunds.refundId'] = { $in: refunds.filter((r) => r.status === 'succeeded').map((r) => r.id) };
+              update = { refundStatus: 'succeeded' };
+              break;
+            }
+            update = {
+              refundStatus: 'succeeded',
+              chargeAmountRefunded: object.amount_refunded / 100,
+            };
+            if (object.refunded) update.paymentStatus = 'refunded';
+            break;
+        }
 
-        const reviewsWithFoodName = reviews.map(r => ({
-          ...r,
-          foodName: foodMap[r.foodId] || "Unknown Food",
-        }));
+        if (!filter) return res.send({ received: true });
+
+        // Payment state before the update, for the audit log
+        const previous = event.type === 'checkout.session.completed'
+          ? await ordersCollection
+            .find({ ...filter, stripeEventIds: { $ne: event.id } })
+            .project({ paymentStatus: 1 })
+            .toArray()
+          : [];
+
+        // Only open, unpaid orders become paid
+        const paidFilter = event.type === 'checkout.session.completed'
+          ? { orderStatus: { $nin: closedStatuses }, paidAt: { $exists: false } }
+          : {};
+        const result = await ordersCollection.updateMany(
+          { ...filter, ...paidFilter, stripeEventIds: { $ne: event.id } },
+          { $set: update, $push: { stripeEventIds: event.id } }
+        );
 
-        res.send(reviewsWithFoodName);
+        // The rest of the matched orders got money they should not keep
+        if (event.type === 'checkout.session.completed') {
+          const strays = await ordersCollection.find({ ...filter, stripeEventIds: { $ne: event.id } }).toArray();
+          for (const order of strays) {
+            const claimed = await ordersCollection.updateOne(
+              { _id: order._id, stripeEventIds: { $ne: event.id } },
+              { $push: { stripeEventIds: event.id } }
+            );
+            if (!claimed.modifiedCount) continue;
+            // Cart sessions pay every order in the group; each order's share is its price
+            const amount = object.metadata?.checkoutId ? order.price : object.amount_total / 100;
+            await refundStrayPayment(order, object.payment_intent, amount, event);
+          }
+        }
+        if (result.modifiedCount) {
+          const changed = await ordersCollection.find({ ...filter, stripeEventIds: event.id }).toArray();
+          changed.forEach((order) => publishOrderEvent('order.payment', order, { paymentStatus: order.paymentStatus }));
+          if (event.type === 'checkout.session.completed') {
+            await Promise.all(changed.map(recordEarning));
+            changed.forEach((order) => mailer.sendTemplate('orderConfirmation', order.userEmail, { order }));
+            await Promise.all(
+              changed.map((order) => {
+                const before = previous.find((p) => p._id.equals(order._id));
+                if (before?.paymentStatus === 'paid') return null;
+                return recordAudit(req, {
+                  actor: 'stripe',
+                  action: 'order.paid',
+                  targetType: 'order',
+                  targetId: order._id,
+                  before: { paymentStatus: before?.paymentStatus || null },
+                  after: { paymentStatus: 'paid', amount: order.price, stripeSessionId: object.id, stripeEventId: event.id },
+                });
+              })
+            );
+          }
+        }
+        res.send({ received: true, applied: result.modifiedCount > 0 });
       } catch (err) {
-        res.status(500).send({ message: 'Failed to fetch reviews', err });
+        console.error(err);
+        res.status(500).send({ message: 'Failed to process webhook', err });
       }
     });
 
-    app.delete('/reviews/:id', verifyJWT, async (req, res) => {
-      try {
-        const review = await reviewsCollection.findOne({ _id: new ObjectId(req.params.id) });
-        if (!review) return res.status(404).send({ message: 'Review not found' });
-        if (review.reviewerEmail !== req.tokenEmail) return res.status(403).send({ message: 'Forbidden' });
+    // ===== DELETE / ARCHIVE ORDER =====
+    // Orders with a payment or a delivery are records we keep; they can only be archived
+    app.delete('/orders/:id', verifyJWT, async (req,res)=>{
+      try{
+        const order = await ordersCollection.findOne({_id:new ObjectId(req.params.id)});
+        if(!order) return res.status(404).send({message:'Order not found'});
+        if(order.userEmail !== req.tokenEmail) return res.status(403).send({message:'Forbidden'});
+        if(order.paidAt || order.orderStatus === 'delivered'){
+          return res.status(400).send({message:'Paid or delivered orders cannot be deleted, archive them instead'});
+        }
 
-        await reviewsCollection.deleteOne({ _id: new ObjectId(req.params.id) });
-        res.send({ success: true, message: 'Review deleted' });
-      } catch (err) {
-        res.status(500).send({ message: 'Failed to delete review', err });
+        const deleted = await ordersCollection.findOneAndDelete({_id:order._id});
+        if(deleted && orderTransitions[deleted.orderStatus]){
+          await releasePortions(deleted.reservations);
+          await releaseSlot(deleted);
+          await rollbackCoupon(deleted);
+        }
+        if(deleted) await expireCheckoutSession(deleted);
+        res.send({success:true, message:'Order deleted'});
+      }catch(err){
+        res.status(500).send({message:'Failed to delete order', err});
       }
     });
 
-    // ===== FAVORITES =====
-    app.post('/favorites', verifyJWT, async (req, res) => {
-      try {
-        const { userEmail, mealId } = req.body;
-        const exists = await favoritesCollection.findOne({ userEmail, mealId });
-        if (exists) return res.send({ success: false, message: 'Meal already in favorites' });
+    app.patch('/orders/:id/archive', verifyJWT, async (req,res)=>{
+      try{
+        const order = await ordersCollection.findOne({_id:new ObjectId(req.params.id)});
+        if(!order) return res.status(404).send({message:'Order not found'});
+        if(order.userEmail !== req.tokenEmail) return res.status(403).send({message:'Forbidden'});
+        if(orderTransitions[order.orderStatus]) return res.status(400).send({message:'Only closed orders can be archived'});
 
-        req.body.addedTime = new Date();
-        const result = await favoritesCollection.insertOne(req.body);
-        res.send({ success: true, result });
-      } catch (err) {
-        res.status(500).send({ message: 'Failed to add favorite', err });
+        const result = await ordersCollection.updateOne(
+          {_id:order._id},
+          {$set:{archived:true, archivedAt:new Date()}}
+        );
+        res.send({success:true, result});
+      }catch(err){
+        res.status(500).send({message:'Failed to archive order', err});
       }
     });
 
-    app.get('/favorites', verifyJWT, async (req, res) => {
+    // ===== CART =====
+    // Cart lines store only foodId and quantity; prices are read live from add-food.
+    // Editing or deleting a meal expires its lines, which GET /cart reports once.
+    const expireCartItems = (foodId, reason) =>
+      cartCollection.updateMany(
+        { foodId, expired: { $ne: true } },
+        { $set: { expired: true, expiredReason: reason, expiredAt: new Date() } }
+      );
+
+    const parseQuantity = (value) => {
+      const quantity = Number(value ?? 1);
+      return Number.isInteger(quantity) && quantity > 0 ? quantity : null;
+    };
+
+    app.get('/cart', verifyJWT, async (req, res) => {
       try {
-        const email = req.query.email;
-        if (email !== req.tokenEmail) return res.status(403).send({ message: 'Forbidden' });
+        const cartItems = await cartCollection.find({ userEmail: req.tokenEmail }).sort({ addedAt: 1 }).toArray();
+        const active = cartItems.filter((item) => !item.expired);
+        const expiredItems = cartItems.filter((item) => item.expired);
+
+        const meals = await foodCollection
+          .find({ _id: { $in: active.map((item) => new ObjectId(item.foodId)) } })
+          .toArray();
+        const mealMap = {};
+        meals.forEach((m) => (mealMap[m._id.toString()] = m));
+
+        const items = [];
+        for (const item of active) {
+          const meal = mealMap[item.foodId];
+          if (!meal) {
+            expiredItems.push({ ...item, expired: true, expiredReason: 'Meal was removed' });
+            continue;
+          }
+          const unitPrice = Number(meal.price);
+          items.push({
+            _id: item._id,
+            foodId: item.foodId,
+            quantity: item.quantity,
+            mealName: meal.foodName,
+            mealImage: meal.foodImage,
+            chefId: meal.chefId,
+            chefName: meal.chefName,
+            unitPrice,
+            lineTotal: (toCents(unitPrice) * item.quantity) / 100,
+          });
+        }
 
-        const favorites = await favoritesCollection.find({ userEmail: email }).sort({ addedTime: -1 }).toArray();
-        res.send(favorites);
+        // Expired lines are shown once, then dropped
+        if (expiredItems.length) {
+          await cartCollection.deleteMany({ _id: { $in: expiredItems.map((item) => item._id) } });
+        }
+
+        const totalCents = items.reduce((sum, item) => sum + toCents(item.lineTotal), 0);
+        res.send({ items, expiredItems, total: totalCents / 100 });
       } catch (err) {
-        res.status(500).send({ message: 'Failed to fetch favorites', err });
+        res.status(500).send({ message: 'Failed to fetch cart', err });
       }
     });
 
-    app.delete('/favorites/:id', verifyJWT, async (req, res) => {
+    app.post('/cart', verifyJWT, async (req, res) => {
       try {
-        const favorite = await favoritesCollection.findOne({ _id: new ObjectId(req.params.id) });
-        if (!favorite) return res.status(404).send({ message: 'Favorite not found' });
-        if (favorite.userEmail !== req.tokenEmail) return res.status(403).send({ message: 'Forbidden' });
-
-        await favoritesCollection.deleteOne({ _id: new ObjectId(req.params.id) });
-        res.send({ success: true, message: 'Favorite deleted' });
+        const { foodId, quantity: requested } = req.body ?? {};
+        const quantity = parseQuantity(requested);
+        if (!quantity) return res.status(400).send({ message: 'Quantity must be a positive whole number' });
+        if (!ObjectId.isValid(foodId)) return res.status(400).send({ message: 'Invalid meal id' });
+
+        const meal = await foodCollection.findOne({ _id: new ObjectId(foodId) });
+        if (!meal) return res.status(404).send({ message: 'Meal not found' });
+
+        // Re-adding a meal that expired starts a fresh line
+        await cartCollection.deleteOne({ userEmail: req.tokenEmail, foodId, expired: true });
+        const result = await cartCollection.updateOne(
+          { userEmail: req.tokenEmail, foodId },
+          { $inc: { quantity }, $set: { updatedAt: new Date() }, $setOnInsert: { addedAt: new Date() } },
+          { upsert: true }
+        );
+        res.send({ success: true, result });
       } catch (err) {
-        res.status(500).send({ message: 'Failed to delete favorite', err });
+        res.status(500).send({ message: 'Failed to add to cart', err });
       }
     });
 
-    // ===== ORDERS =====
-    app.post('/orders', verifyJWT, async (req, res) => {
+    app.patch('/cart/:foodId', verifyJWT, async (req, res) => {
       try {
-        const orderData = req.body;
-        orderData.orderTime = new Date();
-        orderData.orderStatus = 'pending';
-        orderData.paymentStatus = 'pending';
+        const quantity = parseQuantity(req.body?.quantity);
+        if (!quantity) return res.status(400).send({ message: 'Quantity must be a positive whole number' });
 
-        const result = await ordersCollection.insertOne(orderData);
+        const result = await cartCollection.updateOne(
+          { userEmail: req.tokenEmail, foodId: req.params.foodId, expired: { $ne: true } },
+          { $set: { quantity, updatedAt: new Date() } }
+        );
+        if (!result.matchedCount) return res.status(404).send({ message: 'Cart item not found' });
         res.send({ success: true, result });
       } catch (err) {
-        res.status(500).send({ message: 'Failed to place order', err });
+        res.status(500).send({ message: 'Failed to update cart', err });
       }
     });
 
-    app.get('/orders', verifyJWT, async (req, res) => {
+    app.delete('/cart/:foodId', verifyJWT, async (req, res) => {
       try {
-        const email = req.query.email;
-        if (email !== req.tokenEmail) return res.status(403).send({ message: 'Forbidden' });
-
-        const orders = await ordersCollection.find({ userEmail: email }).toArray();
-        res.send(orders);
+        const result = await cartCollection.deleteOne({ userEmail: req.tokenEmail, foodId: req.params.foodId });
+        if (!result.deletedCount) return res.status(404).send({ message: 'Cart item not found' });
+        res.send({ success: true, message: 'Cart item removed' });
       } catch (err) {
-        res.status(500).send({ message: 'Failed to fetch orders', err });
+        res.status(500).send({ message: 'Failed to remove cart item', err });
       }
     });
 
-    // ===== UPDATE ORDER STATUS (Cancel/Accept/Deliver) =====
-    app.patch('/orders/:id/status', verifyJWT, async (req, res) => {
+    // Splits the cart into one pending order per chef and pays them all with a
+    // single Stripe session. The orders share a checkoutId used by the webhook.
+    app.post('/cart/checkout', verifyJWT, requireActive, validateBody(schemas.cartCheckout), async (req, res) => {
       try {
-        const { id } = req.params;
-        const { status } = req.body; // 'cancelled', 'accepted', 'delivered'
-
-        const validStatus = ['accepted','cancelled','delivered'];
-        if(!validStatus.includes(status)) return res.status(400).send({message:'Invalid status'});
+        const { userName, userAddress, deliveryLat, deliveryLng } = req.body;
+        const cartItems = await cartCollection
+          .find({ userEmail: req.tokenEmail, expired: { $ne: true } })
+          .sort({ addedAt: 1 })
+          .toArray();
+        if (!cartItems.length) return res.status(400).send({ message: 'Cart is empty' });
+
+        const priced = await priceLines(cartItems.map((item) => ({ foodId: item.foodId, quantity: item.quantity })));
+        if (priced.message) return res.status(priced.status).send({ message: priced.message });
+
+        // One delivery per chef, so one fee per chef
+        const deliveries = {};
+        for (const line of priced.lines) {
+          if (deliveries[line.meal.chefId]) continue;
+          const delivery = quoteDelivery(line.meal, deliveryLat, deliveryLng);
+          if (delivery.message) return res.status(delivery.status).send({ message: delivery.message });
+          deliveries[line.meal.chefId] = delivery;
+        }
 
-        const order = await ordersCollection.findOne({_id: new ObjectId(id)});
-        if(!order) return res.status(404).send({message:'Order not found'});
+        const reserved = await reservePortions(priced.lines);
+        if (reserved.message) return res.status(reserved.status).send({ message: reserved.message });
 
-        // RULES
-        if(['cancelled','delivered'].includes(order.orderStatus)){
-          return res.status(400).send({message:'Order already closed'});
-        }
-        if(status==='delivered' && order.orderStatus!=='accepted'){
-          return res.status(400).send({message:'Order must be accepted first'});
-        }
+        const byChef = {};
+        priced.lines.forEach((line) => {
+          const chefId = line.meal.chefId;
+          if (!byChef[chefId]) byChef[chefId] = [];
+          byChef[chefId].push(line);
+        });
 
-        const result = await ordersCollection.updateOne(
-          {_id: new ObjectId(id)},
-          {$set:{orderStatus:status}}
-        );
+        const checkoutId = new ObjectId().toString();
+        const orderTime = new Date();
+        const orders = Object.entries(byChef).map(([chefId, lines]) => ({
+          userEmail: req.tokenEmail,
+          userName,
+          userAddress,
+          chefId,
+          chefName: lines[0].meal.chefName,
+          items: lines.map((line) => ({
+            foodId: line.meal._id.toString(),
+            mealName: line.meal.foodName,
+            mealImage: line.meal.foodImage,
+            unitPrice: line.unitPrice,
+            quantity: line.quantity,
+            lineTotal: line.total,
+          })),
+          quantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+          subtotal: lines.reduce((sum, line) => sum + toCents(line.total), 0) / 100,
+          deliveryFee: deliveries[chefId].deliveryFee,
+          distanceKm: deliveries[chefId].distanceKm,
+          ...(isValidLocation(deliveryLat, deliveryLng) && { deliveryLocation: toPoint(deliveryLat, deliveryLng) }),
+          price: (lines.reduce((sum, line) => sum + toCents(line.total), 0) + toCents(deliveries[chefId].deliveryFee)) / 100,
+          checkoutId,
+          orderTime,
+          orderStatus: 'pending',
+          paymentStatus: 'pending',
+          statusHistory: [{ from: null, to: 'pending', actor: req.tokenEmail, actorRole: 'customer', at: orderTime }],
+          reservations: reserved.reservations.filter((r) => lines.some((line) => line.meal._id.toString() === r.foodId)),
+        }));
 
-        res.send({success:true,result});
-      } catch (err) {
-        res.status(500).send({message:'Failed to update order status', err});
-      }
-    });
+        let result;
+        try {
+          result = await ordersCollection.insertMany(orders);
+        } catch (err) {
+          await releasePortions(reserved.reservations);
+          throw err;
+        }
 
-    // ===== PAYMENT =====
-    app.patch('/orders/:id/pay', verifyJWT, async (req,res)=>{
-      try{
-        const {id} = req.params;
-        const result = await ordersCollection.updateOne(
-          {_id:new ObjectId(id)},
-          {$set:{paymentStatus:'paid', paidAt: new Date()}}
+        // Without a session the orders could never be paid; undo them so a
+        // retry starts from the same cart
+        let session;
+        try {
+          session = await createCheckoutSession(priced.lines, {
+            email: req.tokenEmail,
+            metadata: { checkoutId },
+            successQuery: `checkoutId=${checkoutId}`,
+            deliveryFee: orders.reduce((sum, order) => sum + toCents(order.deliveryFee), 0) / 100,
+          });
+        } catch (err) {
+          await ordersCollection.deleteMany({ checkoutId });
+          await releasePortions(reserved.reservations);
+          throw err;
+        }
+        await ordersCollection.updateMany({ checkoutId }, { $set: { checkoutSessionId: session.id } });
+
+        orders.forEach((order, i) =>
+          publishOrderEvent(
+            'order.created',
+            { ...order, _id: result.insertedIds[i] },
+            { orderStatus: 'pending', paymentStatus: 'pending', quantity: order.quantity },
+            { forChef: true }
+          )
         );
-        res.send({success:true,result});
-      }catch(err){
-        res.status(500).send({message:'Failed to update payment', err});
-      }
-    });
+        orders.forEach((order, i) => notifyNewOrder({ ...order, _id: result.insertedIds[i] }));
 
-    // ===== DELETE ORDER =====
-    app.delete('/orders/:id', verifyJWT, async (req,res)=>{
-      try{
-        const order = await ordersCollection.findOne({_id:new ObjectId(req.params.id)});
-        if(!order) return res.status(404).send({message:'Order not found'});
-        if(order.userEmail !== req.tokenEmail) return res.status(403).send({message:'Forbidden'});
+        // The orders now hold the cart; unpaid ones can be paid from My Orders
+        await cartCollection.deleteMany({ _id: { $in: cartItems.map((item) => item._id) } });
 
-        await ordersCollection.deleteOne({_id:new ObjectId(req.params.id)});
-        res.send({success:true, message:'Order deleted'});
-      }catch(err){
-        res.status(500).send({message:'Failed to delete order', err});
+        res.send({ success: true, url: session.url, checkoutId, orderIds: Object.values(result.insertedIds) });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ message: 'Failed to checkout cart', err });
       }
     });
 
     // ===== USERS =====
-    app.post('/users', async (req,res)=>{
+    app.post('/users', verifyJWT, validateBody(schemas.user), async (req,res)=>{
       try{
         const userData = req.body;
+        // Email comes from the token; role and status are never self-assigned
+        userData.email = req.tokenEmail;
         const existingUser = await usersCollection.findOne({email:userData.email});
         if(existingUser){
           return res.send({success:true, message:'User already exists', user:existingUser});
         }
         const result = await usersCollection.insertOne({
           ...userData,
-          role:userData.role || 'user',
-          status:userData.status || 'active',
+          role:'user',
+          status:'active',
           createdAt:new Date()
         });
         res.send({success:true, insertedId: result.insertedId});
@@ -349,12 +2749,27 @@ async function run() {
         res.status(500).send({success:false,message:'Failed to create user', err});
       }
     });
-     app.get('/users', verifyJWT, async (req, res) => {
+    // Query params: search (name or email), role, status, page, limit
+    app.get('/users', verifyJWT, requireRole('admin'), async (req, res) => {
       try {
-        const requester = await usersCollection.findOne({ email: req.tokenEmail });
-        if (!requester || requester.role !== 'admin') return res.status(403).send({ message: 'Forbidden' });
-        const users = await usersCollection.find().toArray();
-        res.send(users);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const { search, role, status } = req.query;
+
+        const filter = {};
+        if (search?.trim()) {
+          const pattern = { $regex: escapeRegex(search.trim()), $options: 'i' };
+          filter.$or = [{ name: pattern }, { email: pattern }];
+        }
+        if (role) filter.role = role;
+        // Users created before statuses existed count as active
+        if (status) filter.status = status === 'active' ? { $in: ['active', null] } : status;
+
+        const [users, totalCount] = await Promise.all([
+          usersCollection.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+          usersCollection.countDocuments(filter),
+        ]);
+        res.send({ users, totalCount, page, totalPages: Math.ceil(totalCount / limit) });
       } catch (err) {
         res.status(500).send({ message: 'Failed to fetch users', err });
       }
@@ -369,45 +2784,353 @@ async function run() {
       res.send({role: user?.role || 'user'});
     });
 
-    app.patch('/users/:id/role', verifyJWT, async (req, res) => {
+    app.patch('/users/:id/role', verifyJWT, requireRole('admin'), async (req, res) => {
       try {
         const { id } = req.params;
         const { role } = req.body;
         if (!role || !['user', 'chef', 'admin'].includes(role)) return res.status(400).send({ message: 'Invalid role' });
 
-        const currentUser = await usersCollection.findOne({ email: req.tokenEmail });
-        if (!currentUser || currentUser.role !== 'admin') return res.status(403).send({ message: 'Only admin can update roles' });
-
         const targetUser = await usersCollection.findOne({ _id: new ObjectId(id) });
         if (!targetUser) return res.status(404).send({ message: 'User not found' });
 
-        await usersCollection.updateOne({ _id: new ObjectId(id) }, { $set: { role } });
+        if (targetUser.role === 'admin' && role !== 'admin') {
+          if (targetUser.email === req.tokenEmail) return res.status(400).send({ message: 'You cannot demote yourself' });
+
+          // Every demotion writes the same guard document, so two concurrent
+          // demotions conflict and one transaction retries with the new count
+          const session = client.startSession();
+          try {
+            await session.withTransaction(async () => {
+              await countersCollection.updateOne({ _id: 'adminDemotions' }, { $inc: { seq: 1 } }, { upsert: true, session });
+              const admins = await usersCollection.countDocuments({ role: 'admin' }, { session });
+              if (admins <= 1) throw new RequestError(400, 'Cannot demote the last admin');
+              await usersCollection.updateOne({ _id: targetUser._id, role: 'admin' }, { $set: { role } }, { session });
+            });
+          } catch (err) {
+            if (err instanceof RequestError) return res.status(err.status).send({ message: err.message });
+            throw err;
+          } finally {
+            await session.endSession();
+          }
+        } else {
+          await usersCollection.updateOne({ _id: new ObjectId(id) }, { $set: { role } });
+        }
+
+        await recordAudit(req, {
+          action: 'user.role',
+          targetType: 'user',
+          targetId: targetUser._id,
+          before: { role: targetUser.role || 'user' },
+          after: { role },
+        });
         res.send({ success: true, message: `User role updated to ${role}` });
       } catch (err) {
         res.status(500).send({ message: 'Failed to update user role', err });
       }
     });
 
-    app.patch('/users/:id/fraud', verifyJWT, async (req, res) => {
+    // Suspending, flagging as fraud and reinstating are all reversible. Each
+    // change is kept in the user's statusHistory with the admin and reason.
+    const setAccountStatus = async (req, res, status, allowedFrom) => {
+      const user = await usersCollection.findOne({ _id: new ObjectId(req.params.id) });
+      if (!user) return res.status(404).send({ message: 'User not found' });
+      if (user.role === 'admin') return res.status(403).send({ message: 'Cannot change the status of an admin' });
+
+      const current = user.status || 'active';
+      if (!allowedFrom.includes(current)) return res.status(400).send({ message: `User is already ${current}` });
+
+      // Filtering on the current status keeps concurrent changes from overwriting each other
+      const result = await usersCollection.updateOne(
+        { _id: user._id, status: user.status },
+        {
+          $set: { status, statusReason: req.body.reason, statusChangedAt: new Date() },
+          $push: { statusHistory: { from: current, to: status, reason: req.body.reason, by: req.tokenEmail, at: new Date() } },
+        }
+      );
+      if (!result.modifiedCount) return res.status(409).send({ message: 'User status changed, try again' });
+      await recordAudit(req, {
+        action: 'user.status',
+        targetType: 'user',
+        targetId: user._id,
+        before: { status: current },
+        after: { status, reason: req.body.reason },
+      });
+      res.send({ success: true, message: `User is now ${status}` });
+    };
+
+    app.patch('/users/:id/suspend', verifyJWT, requireRole('admin'), validateBody(schemas.accountStatus), async (req, res) => {
       try {
-        const { id } = req.params;
-        const user = await usersCollection.findOne({ _id: new ObjectId(id) });
-        if (!user) return res.status(404).send({ message: 'User not found' });
-        if (user.role === 'admin') return res.status(403).send({ message: 'Cannot mark admin as fraud' });
-        if (user.status === 'fraud') return res.status(400).send({ message: 'User already marked as fraud' });
+        await setAccountStatus(req, res, 'suspended', ['active']);
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to suspend user', err });
+      }
+    });
 
-        await usersCollection.updateOne({ _id: new ObjectId(id) }, { $set: { status: 'fraud' } });
-        res.send({ success: true, message: 'User marked as fraud' });
+    app.patch('/users/:id/fraud', verifyJWT, requireRole('admin'), validateBody(schemas.accountStatus), async (req, res) => {
+      try {
+        await setAccountStatus(req, res, 'fraud', ['active', 'suspended']);
       } catch (err) {
         res.status(500).send({ message: 'Failed to update user status', err });
       }
     });
 
+    app.patch('/users/:id/reinstate', verifyJWT, requireRole('admin'), validateBody(schemas.accountStatus), async (req, res) => {
+      try {
+        await setAccountStatus(req, res, 'active', restrictedStatuses);
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to reinstate user', err });
+      }
+    });
+
+    // ===== CHEF EARNINGS LEDGER =====
+    // Every paid order adds an earning for its chef minus the platform commission;
+    // every refund adds a matching negative entry. Entries without a payoutId are
+    // owed to the chef. entryKey is unique, so replays cannot double-count.
+    const splitCommission = (gross, rate) => {
+      const commission = Math.round(toCents(gross) * rate) / 100;
+      return { gross, commission, net: (toCents(gross) - toCents(commission)) / 100 };
+    };
+
+    const insertLedgerEntry = async (entry) => {
+      try {
+        await ledgerCollection.insertOne({ ...entry, payoutId: null, createdAt: new Date() });
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+      }
+    };
+
+    const recordEarning = (order) =>
+      insertLedgerEntry({
+        entryKey: `earning:${order._id}`,
+        type: 'earning',
+        chefId: order.chefId,
+        orderId: order._id.toString(),
+        rate: commissionRate,
+        ...splitCommission(order.price, commissionRate),
+      });
+
+    // Reverses at the rate the original earning used
+    const recordReversal = async (order, refund) => {
+      const earning = await ledgerCollection.findOne({ entryKey: `earning:${order._id}` });
+      if (!earning) return;
+      const { gross, commission, net } = splitCommission(refund.amount, earning.rate);
+      await insertLedgerEntry({
+        entryKey: `reversal:${refund.refundId}`,
+        type: 'reversal',
+        chefId: order.chefId,
+        orderId: order._id.toString(),
+        rate: earning.rate,
+        gross: -gross,
+        commission: -commission,
+        net: -net,
+      });
+    };
+
+    const sumLedger = { gross: { $sum: '$gross' }, commission: { $sum: '$commission' }, net: { $sum: '$net' } };
+
+    const earningBuckets = (unit, count) => {
+      const since = new Date();
+      if (unit === 'day') since.setDate(since.getDate() - count);
+      if (unit === 'week') since.setDate(since.getDate() - count * 7);
+      if (unit === 'month') since.setMonth(since.getMonth() - count);
+      return [
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: { $dateTrunc: { date: '$createdAt', unit } }, ...sumLedger, entries: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, period: '$_id', gross: 1, commission: 1, net: 1, entries: 1 } },
+      ];
+    };
+
+    app.get('/chef/earnings', verifyJWT, requireRole('chef'), async (req, res) => {
+      try {
+        const [report] = await ledgerCollection.aggregate([
+          { $match: { chefId: req.user.chefId } },
+          {
+            $facet: {
+              totals: [{ $group: { _id: null, ...sumLedger } }],
+              pending: [{ $match: { payoutId: null } }, { $group: { _id: null, net: { $sum: '$net' } } }],
+              daily: earningBuckets('day', 30),
+              weekly: earningBuckets('week', 12),
+              monthly: earningBuckets('month', 12),
+            },
+          },
+        ]).toArray();
+
+        const totals = report.totals[0] || { gross: 0, commission: 0, net: 0 };
+        delete totals._id;
+        res.send({
+          totals,
+          pendingPayout: report.pending[0]?.net || 0,
+          daily: report.daily,
+          weekly: report.weekly,
+          monthly: report.monthly,
+        });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to fetch earnings', err });
+      }
+    });
+
+    // Delivered orders of one calendar month (UTC), with the commission taken
+    // from the ledger. Query params: format (csv | pdf), chefId (admins only).
+    const statementColumns = [
+      'orderId', 'orderTime', 'deliveredAt', 'customer', 'meals', 'quantity',
+      'subtotal', 'discount', 'deliveryFee', 'total', 'commission', 'net',
+    ];
+
+    app.get('/chef/statements/:month', verifyJWT, requireRole('chef', 'admin'), async (req, res) => {
+      try {
+        const chefId = req.user.role === 'chef' ? req.user.chefId : req.query.chefId;
+        if (!chefId) return res.status(400).send({ message: 'chefId required' });
+        if (req.query.chefId && req.query.chefId !== chefId) return res.status(403).send({ message: 'Forbidden' });
+
+        const format = req.query.format || 'csv';
+        if (!['csv', 'pdf'].includes(format)) return res.status(400).send({ message: 'format must be csv or pdf' });
+
+        const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(req.params.month);
+        if (!match) return res.status(400).send({ message: 'Month must look like 2025-01' });
+        const from = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+        const to = new Date(Date.UTC(Number(match[1]), Number(match[2]), 1));
+
+        const chef = await usersCollection.findOne({ role: 'chef', chefId });
+        if (!chef) return res.status(404).send({ message: 'Chef not found' });
+
+        // Orders from before statusHistory existed fall back to their order time
+        const orders = await ordersCollection.find({
+          chefId,
+          orderStatus: 'delivered',
+          $or: [
+            { statusHistory: { $elemMatch: { to: 'delivered', at: { $gte: from, $lt: to } } } },
+            { statusHistory: { $exists: false }, orderTime: { $gte: from, $lt: to } },
+          ],
+        }).toArray();
+
+        const earnings = await ledgerCollection
+          .find({ type: 'earning', orderId: { $in: orders.map((order) => order._id.toString()) } })
+          .toArray();
+
+        const rows = orders
+          .map((order) => {
+            const earning = earnings.find((entry) => entry.orderId === order._id.toString());
+            const delivered = order.statusHistory?.find((change) => change.to === 'delivered');
+            return {
+              orderId: order._id.toString(),
+              orderTime: order.orderTime,
+              deliveredAt: delivered?.at || order.orderTime,
+              customer: order.userName || order.userEmail,
+              meals: (order.items || [{ mealName: order.mealName, quantity: order.quantity }])
+                .map((item) => `${item.quantity} x ${item.mealName}`)
+                .join('; '),
+              quantity: order.quantity,
+              subtotal: order.subtotal ?? order.price,
+              discount: order.discount || 0,
+              deliveryFee: order.deliveryFee || 0,
+              total: order.price,
+              commission: earning?.commission || 0,
+              net: earning?.net ?? order.price,
+            };
+          })
+          .sort((a, b) => new Date(a.deliveredAt) - new Date(b.deliveredAt));
+
+        const sum = (field) => rows.reduce((total, row) => total + toCents(row[field]), 0) / 100;
+        const totals = { orders: rows.length, total: sum('total'), commission: sum('commission'), net: sum('net') };
+        const filename = `statement-${chefId}-${req.params.month}`;
+
+        if (format === 'pdf') {
+          return sendPdf(res, `${filename}.pdf`, await renderStatement({ chef, month: req.params.month, rows, totals }));
+        }
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+        res.send(toCsv(statementColumns, rows));
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to create statement', err });
+      }
+    });
+
+    app.get('/admin/payouts/outstanding', verifyJWT, requireRole('admin'), async (req, res) => {
+      try {
+        const balances = await ledgerCollection.aggregate([
+          { $match: { payoutId: null } },
+          { $group: { _id: '$chefId', balance: { $sum: '$net' }, entries: { $sum: 1 }, oldestEntry: { $min: '$createdAt' } } },
+          { $match: { balance: { $gt: 0 } } },
+          { $lookup: { from: 'users', localField: '_id', foreignField: 'chefId', as: 'chef' } },
+          {
+            $project: {
+              _id: 0,
+              chefId: '$_id',
+              chefName: { $first: '$chef.name' },
+              chefEmail: { $first: '$chef.email' },
+              balance: 1,
+              entries: 1,
+              oldestEntry: 1,
+            },
+          },
+          { $sort: { balance: -1 } },
+        ]).toArray();
+        res.send(balances);
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to fetch outstanding balances', err });
+      }
+    });
+
+    // Settles everything currently owed to a chef. Entries are claimed by
+    // stamping the payout id first, so two settlements never share an entry.
+    app.post('/admin/payouts/:chefId/settle', verifyJWT, requireRole('admin'), validateBody(schemas.payoutSettlement), async (req, res) => {
+      try {
+        const { chefId } = req.params;
+        const payoutId = new ObjectId();
+
+        const claimed = await ledgerCollection.updateMany(
+          { chefId, payoutId: null },
+          { $set: { payoutId, settledAt: new Date() } }
+        );
+        if (!claimed.modifiedCount) return res.status(400).send({ message: 'Nothing to settle for this chef' });
+
+        const [sum] = await ledgerCollection.aggregate([
+          { $match: { payoutId } },
+          { $group: { _id: null, ...sumLedger } },
+        ]).toArray();
+
+        // Refunds can leave nothing owed; put the entries back for a later payout
+        if (toCents(sum.net) <= 0) {
+          await ledgerCollection.updateMany({ payoutId }, { $set: { payoutId: null }, $unset: { settledAt: '' } });
+          return res.status(400).send({ message: 'Chef has no positive balance to settle', balance: sum.net });
+        }
+
+        const payout = {
+          _id: payoutId,
+          chefId,
+          amount: Math.round(sum.net * 100) / 100,
+          entries: claimed.modifiedCount,
+          reference: req.body.reference || null,
+          settledBy: req.tokenEmail,
+          settledAt: new Date(),
+        };
+        await payoutsCollection.insertOne(payout);
+        res.send({ success: true, payout });
+      } catch (err) {
+        res.status(500).send({ message: 'Failed to settle payout', err });
+      }
+    });
+
     // ===== CHEF ORDERS =====
-    app.get('/chef/orders', verifyJWT, async (req,res)=>{
+    app.get('/chef/orders', verifyJWT, requireRole('chef', 'admin'), async (req,res)=>{
       try{
-        const chefId = req.query.chefId;
+        // Chefs only ever see their own orders; admins may pick a chefId
+        const chefId = req.user.role === 'chef' ? req.user.chefId : req.query.chefId;
         if(!chefId) return res.status(400).send({message:'chefId required'});
+        if(req.query.chefId && req.query.chefId !== chefId) return res.status(403).send({message:'Forbidden'});
+
+        // ?groupBy=slot lists upcoming pre-orders per delivery slot
+        if(req.query.groupBy === 'slot'){
+          const slots = await ordersCollection.aggregate([
+            { $match: { chefId, slotId: { $exists: true }, 'deliveryWindow.end': { $gte: new Date() }, orderStatus: { $nin: ['cancelled', 'rejected'] } } },
+            { $sort: { orderTime: 1 } },
+            { $group: { _id: '$slotId', deliveryWindow: { $first: '$deliveryWindow' }, portions: { $sum: '$quantity' }, orders: { $push: '$$ROOT' } } },
+            { $sort: { 'deliveryWindow.start': 1 } },
+            { $project: { _id: 0, slotId: '$_id', deliveryWindow: 1, portions: 1, orders: 1 } },
+          ]).toArray();
+          return res.send(slots);
+        }
 
         const orders = await ordersCollection.find({chefId}).sort({orderTime:-1}).toArray();
         res.send(orders);
@@ -451,30 +3174,93 @@ async function run() {
 //   }
 // });
 // create-checkout-session
-app.post('/create-checkout-session', async (req, res) => {
+// Builds the session from a stored, unpaid order owned by the caller, at the
+// prices stored on it when it was placed, so the charge always matches
+// order.price. `amount` from the client, if sent, must equal the order total.
+app.post('/create-checkout-session', verifyJWT, idempotent, requireActive, async (req, res) => {
   try {
-    const paymentInfo = req.body;
+    const { orderId, amount, couponCode } = req.body ?? {};
+    if (!ObjectId.isValid(orderId)) return res.status(400).send({ message: 'Invalid order id' });
+    if (couponCode !== undefined && typeof couponCode !== 'string') return res.status(400).send({ message: 'Invalid coupon code' });
+
+    const order = await ordersCollection.findOne({ _id: new ObjectId(orderId) });
+    if (!order) return res.status(404).send({ message: 'Order not found' });
+    if (order.userEmail !== req.tokenEmail) return res.status(403).send({ message: 'Forbidden' });
+    if (order.paidAt) return res.status(400).send({ message: 'Order is already paid' });
+    if (closedStatuses.includes(order.orderStatus)) return res.status(400).send({ message: `Order is ${order.orderStatus}` });
+
+    // Older single-meal orders have no stored price: price them now and keep it
+    let priced = storedLines(order);
+    if (!priced) {
+      priced = await priceLines(orderLines(order));
+      if (priced.message) return res.status(priced.status).send({ message: priced.message });
+      const price = (toCents(priced.total) - toCents(order.discount || 0) + toCents(order.deliveryFee || 0)) / 100;
+      await ordersCollection.updateOne(
+        { _id: order._id },
+        { $set: { unitPrice: priced.lines[0].unitPrice, subtotal: priced.total, price } }
+      );
+    }
 
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ['card'],
-      line_items: [
+    // A coupon can be added here if the order was placed without one
+    let discount = order.discount || 0;
+    let code = order.couponCode;
+    if (couponCode && !order.couponCode) {
+      const checked = await checkCoupon(couponCode, req.tokenEmail, priced.lines);
+      if (checked.message) return res.status(checked.status).send({ message: checked.message });
+      ({ discount } = checked);
+      code = checked.coupon.code;
+
+      const redeemed = await redeemCoupon(checked.coupon, req.tokenEmail, order._id, discount);
+      if (redeemed.message) return res.status(redeemed.status).send({ message: redeemed.message });
+      await ordersCollection.updateOne(
+        { _id: order._id },
         {
-          price_data: {
-            currency: 'usd',
-            product_data: {
-              name: paymentInfo.mealName,
-              images: [paymentInfo.mealImage],
-            },
-            unit_amount: paymentInfo.amount * 100,
+          $set: {
+            couponCode: code,
+            discount,
+            subtotal: priced.total,
+            price: (toCents(priced.total) - toCents(discount) + toCents(order.deliveryFee || 0)) / 100,
           },
-          quantity: paymentInfo.quantity || 1,
-        },
-      ],
-      customer_email: paymentInfo.customer?.email,
-      mode: 'payment',
-      success_url: `${process.env.CLIENT_DOMAIN}/payment-success?orderId=${paymentInfo.orderId}`, // ✅ orderId path
-      cancel_url: `${process.env.CLIENT_DOMAIN}/dashboard/my-orders`,
+        }
+      );
+    } else if (couponCode && couponCode.trim().toUpperCase() !== order.couponCode) {
+      return res.status(400).send({ message: 'Order already has a different coupon' });
+    }
+
+    // The delivery fee was fixed when the order was placed
+    const total = (toCents(priced.total) - toCents(discount) + toCents(order.deliveryFee || 0)) / 100;
+    if (priceMismatch(amount, total)) {
+      return res.status(400).send({
+        message: `Price mismatch: expected ${total.toFixed(2)}, got ${amount}`,
+        expectedTotal: total,
+      });
+    }
+
+    // Reuse the order's open session while it still charges the right amount;
+    // otherwise expire it so the old link cannot be paid as well. A cart
+    // session pays the whole checkoutId group, so paying one of its orders
+    // alone expires it; the other orders are then paid one by one.
+    if (order.checkoutSessionId) {
+      const open = await stripe.checkout.sessions.retrieve(order.checkoutSessionId).catch(() => null);
+      if (open?.status === 'open') {
+        if (open.amount_total === toCents(total) && !open.metadata?.checkoutId) return res.json({ url: open.url, reused: true });
+        try {
+          await stripe.checkout.sessions.expire(open.id);
+        } catch (err) {
+          return res.status(409).send({ message: 'A payment for this order is in progress, try again shortly' });
+        }
+      }
+    }
+
+    const session = await createCheckoutSession(priced.lines, {
+      email: req.tokenEmail,
+      metadata: { orderId },
+      successQuery: `orderId=${orderId}`, // ✅ orderId path
+      discount,
+      couponCode: code,
+      deliveryFee: order.deliveryFee || 0,
     });
+    await ordersCollection.updateOne({ _id: order._id }, { $set: { checkoutSessionId: session.id } });
 
     res.json({ url: session.url });
   } catch (err) {
@@ -485,10 +3271,65 @@ app.post('/create-checkout-session', async (req, res) => {
 
 //======================
 
-// GET all requests
-app.post("/requests", verifyJWT, async (req, res) => {
+// ===== ROLE REQUESTS =====
+// Chef ids come from a counter. Legacy ids were random 4-digit numbers, so the
+// sequence starts above them; users.chefId is unique-indexed as a backstop.
+const nextChefId = async (session) => {
+  const counter = await countersCollection.findOneAndUpdate(
+    { _id: "chefId" },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: "after", session }
+  );
+  return `chef-${10000 + counter.seq}`;
+};
+
+// Legacy random ids could collide. Before the unique index is built, every
+// chef sharing an id except the first gets a new one; their meals (matched by
+// userEmail) and the orders and ledger entries of those meals move with them.
+const renumberDuplicateChefIds = async () => {
+  const duplicates = await usersCollection.aggregate([
+    { $match: { chefId: { $type: "string" } } },
+    { $sort: { _id: 1 } },
+    { $group: { _id: "$chefId", users: { $push: { _id: "$_id", email: "$email" } }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+  ]).toArray();
+
+  for (const { _id: oldId, users } of duplicates) {
+    for (const user of users.slice(1)) {
+      const chefId = await nextChefId();
+      const meals = await foodCollection.find({ chefId: oldId, userEmail: user.email }, { projection: { _id: 1 } }).toArray();
+      const mealIds = meals.map((meal) => meal._id.toString());
+      const orders = await ordersCollection
+        .find({ chefId: oldId, $or: [{ foodId: { $in: mealIds } }, { "items.foodId": { $in: mealIds } }] }, { projection: { _id: 1 } })
+        .toArray();
+
+      await usersCollection.updateOne({ _id: user._id }, { $set: { chefId } });
+      await foodCollection.updateMany({ chefId: oldId, userEmail: user.email }, { $set: { chefId } });
+      await ordersCollection.updateMany({ _id: { $in: orders.map((order) => order._id) } }, { $set: { chefId } });
+      await ledgerCollection.updateMany({ orderId: { $in: orders.map((order) => order._id.toString()) } }, { $set: { chefId } });
+      console.warn(`Chef id ${oldId} was shared; ${user.email} is now ${chefId}`);
+    }
+  }
+};
+
+// Thrown inside a transaction to abort it with an HTTP answer
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+app.post("/requests", verifyJWT, validateBody(schemas.roleRequest), async (req, res) => {
   try {
     const requestData = req.body;
+    requestData.userEmail = req.tokenEmail;
+
+    const user = await usersCollection.findOne({ email: req.tokenEmail });
+    if (!user) return res.status(404).send({ message: "User not found" });
+    if (user.role === requestData.requestType || user.role === "admin") {
+      return res.status(400).send({ message: `You already have the ${user.role} role` });
+    }
 
     // Check if user already has pending request
     const existingRequest = await requestsCollection.findOne({ userEmail: requestData.userEmail, requestStatus: "pending" });
@@ -498,6 +3339,7 @@ app.post("/requests", verifyJWT, async (req, res) => {
 
     requestData.requestTime = new Date();
     requestData.requestStatus = "pending";
+    requestData.reviewNotes = [];
 
     const result = await requestsCollection.insertOne(requestData);
     res.send({ success: true, result });
@@ -506,12 +3348,18 @@ app.post("/requests", verifyJWT, async (req, res) => {
   }
 });
 
-
-app.get("/requests", verifyJWT, async (req, res) => {
+// The applicant's own requests, with admin notes and any rejection reason
+app.get("/requests/mine", verifyJWT, async (req, res) => {
   try {
-    const adminUser = await usersCollection.findOne({ email: req.tokenEmail });
-    if (adminUser.role !== "admin") return res.status(403).send({ message: "Forbidden" });
+    const requests = await requestsCollection.find({ userEmail: req.tokenEmail }).sort({ requestTime: -1 }).toArray();
+    res.send(requests);
+  } catch (err) {
+    res.status(500).send({ message: "Failed to fetch requests", err });
+  }
+});
 
+app.get("/requests", verifyJWT, requireRole("admin"), async (req, res) => {
+  try {
     const requests = await requestsCollection.find().sort({ requestTime: -1 }).toArray();
     res.send(requests);
   } catch (err) {
@@ -519,45 +3367,96 @@ app.get("/requests", verifyJWT, async (req, res) => {
   }
 });
 
+// POST review note
+app.post("/requests/:id/notes", verifyJWT, requireRole("admin"), validateBody(schemas.requestNote), async (req, res) => {
+  try {
+    const result = await requestsCollection.updateOne(
+      { _id: new ObjectId(req.params.id) },
+      { $push: { reviewNotes: { note: req.body.note, by: req.tokenEmail, at: new Date() } } }
+    );
+    if (!result.matchedCount) return res.status(404).send({ message: "Request not found" });
+    res.send({ success: true });
+  } catch (err) {
+    res.status(500).send({ message: "Failed to add note", err });
+  }
+});
+
 // PATCH accept request
-app.patch("/requests/:id/accept", verifyJWT, async (req, res) => {
+// Claiming the pending request and promoting the user share one transaction,
+// so a request is approved at most once and only for an existing user.
+app.patch("/requests/:id/accept", verifyJWT, requireRole("admin"), async (req, res) => {
+  const session = client.startSession();
   try {
     const { id } = req.params;
-    const { requestType } = req.body;
-
-    const adminUser = await usersCollection.findOne({ email: req.tokenEmail });
-    if (adminUser.role !== "admin") return res.status(403).send({ message: "Forbidden" });
-
-    const request = await requestsCollection.findOne({ _id: new ObjectId(id) });
-    if (!request || request.requestStatus !== "pending") return res.status(400).send({ message: "Invalid request" });
-
-    // Update user role
     let updateData = {};
-    if (requestType === "chef") {
-      const chefId = "chef-" + Math.floor(1000 + Math.random() * 9000);
-      updateData = { role: "chef", chefId };
-    } else if (requestType === "admin") {
-      updateData = { role: "admin" };
-    }
+    let approved;
+    let applicant;
+
+    await session.withTransaction(async () => {
+      const request = await requestsCollection.findOneAndUpdate(
+        { _id: new ObjectId(id), requestStatus: "pending" },
+        { $set: { requestStatus: "approved", reviewedBy: req.tokenEmail, reviewedAt: new Date() } },
+        { session, returnDocument: "after" }
+      );
+      if (!request) throw new RequestError(400, "Invalid request");
+      approved = request;
+
+      const user = await usersCollection.findOne({ email: request.userEmail }, { session });
+      if (!user) throw new RequestError(404, "Applicant no longer exists");
+      applicant = user;
+
+      // Update user role
+      if (request.requestType === "chef") {
+        updateData = { role: "chef", chefId: user.chefId || (await nextChefId(session)) };
+        if (!user.chefProfile) updateData.chefProfile = { kitchenName: request.kitchenName || "", cuisine: request.cuisine || "" };
+      } else if (request.requestType === "admin") {
+        updateData = { role: "admin" };
+      }
 
-    await usersCollection.updateOne({ email: request.userEmail }, { $set: updateData });
-    await requestsCollection.updateOne({ _id: new ObjectId(id) }, { $set: { requestStatus: "approved" } });
+      await usersCollection.updateOne({ _id: user._id }, { $set: updateData }, { session });
+    });
 
-    res.send({ success: true });
+    notify(approved.userEmail, "role_request", {
+      title: "Request approved",
+      message: `Your ${approved.requestType} request was approved`,
+      link: "/dashboard/profile",
+      data: { requestId: id, requestStatus: "approved" },
+    });
+    mailer.sendTemplate("requestDecision", approved.userEmail, { request: approved, approved: true });
+    await recordAudit(req, {
+      action: "request.approve",
+      targetType: "user",
+      targetId: applicant._id,
+      before: { role: applicant.role || "user", chefId: applicant.chefId || null },
+      after: { ...updateData, requestId: id, requestType: approved.requestType },
+    });
+    res.send({ success: true, ...updateData });
   } catch (err) {
+    if (err instanceof RequestError) return res.status(err.status).send({ message: err.message });
     res.status(500).send({ message: "Failed to approve request", err });
+  } finally {
+    await session.endSession();
   }
 });
 
 // PATCH reject request
-app.patch("/requests/:id/reject", verifyJWT, async (req, res) => {
+app.patch("/requests/:id/reject", verifyJWT, requireRole("admin"), validateBody(schemas.requestRejection), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const adminUser = await usersCollection.findOne({ email: req.tokenEmail });
-    if (adminUser.role !== "admin") return res.status(403).send({ message: "Forbidden" });
-
-    await requestsCollection.updateOne({ _id: new ObjectId(id) }, { $set: { requestStatus: "rejected" } });
+    const request = await requestsCollection.findOneAndUpdate(
+      { _id: new ObjectId(id), requestStatus: "pending" },
+      { $set: { requestStatus: "rejected", rejectionReason: req.body.reason, reviewedBy: req.tokenEmail, reviewedAt: new Date() } }
+    );
+    if (!request) return res.status(400).send({ message: "Invalid request" });
+
+    notify(request.userEmail, "role_request", {
+      title: "Request rejected",
+      message: `Your ${request.requestType} request was rejected: ${req.body.reason}`,
+      link: "/dashboard/profile",
+      data: { requestId: id, requestStatus: "rejected" },
+    });
+    mailer.sendTemplate("requestDecision", request.userEmail, { request, approved: false, reason: req.body.reason });
 
     res.send({ success: true });
   } catch (err) {
@@ -619,39 +3518,174 @@ app.get('/users/info/:email', verifyJWT, async (req, res) => {
 //   }
 // });
 // ===== ADMIN STATISTICS =====
-app.get('/admin/statistics', verifyJWT, async (req, res) => {
-  try {
-    // Check if requester is admin
-    const adminUser = await usersCollection.findOne({ email: req.tokenEmail });
-    if (!adminUser || adminUser.role !== 'admin') {
-      return res.status(403).send({ message: 'Forbidden' });
-    }
+// Query params: from, to (ISO dates, default the last 30 days) and
+// groupBy (day | week | month). Lifetime totals ignore the range.
+const statsUnits = ['day', 'week', 'month'];
+
+// A date-only `to` (2026-10-19) means the end of that day, not its midnight
+const parseRangeEnd = (value) => {
+  const date = new Date(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date;
+};
+
+const parseStatsRange = (query) => {
+  const unit = query.groupBy || 'day';
+  if (!statsUnits.includes(unit)) return { message: 'groupBy must be day, week or month' };
+
+  const to = query.to ? parseRangeEnd(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (isNaN(from) || isNaN(to) || from > to) return { message: 'Invalid date range' };
+
+  return { unit, from, to };
+};
+
+const isPaidOrder = { $ne: [{ $ifNull: ['$paidAt', null] }, null] };
+const netRevenue = { $subtract: ['$price', { $ifNull: ['$refundedAmount', 0] }] };
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// One pipeline for every order figure; `scope` narrows it, e.g. to one chef
+const orderStatsPipeline = (scope, range, { topChefs = false } = {}) => {
+  const inRange = { $match: { orderTime: { $gte: range.from, $lte: range.to } } };
+  const paidInRange = { $match: { orderTime: { $gte: range.from, $lte: range.to }, paidAt: { $ne: null } } };
+
+  const facets = {
+    lifetime: [
+      {
+        $group: {
+          _id: null,
+          totalOrders: { $sum: 1 },
+          ordersPending: countIf({ $eq: ['$orderStatus', 'pending'] }),
+          ordersDelivered: countIf({ $eq: ['$orderStatus', 'delivered'] }),
+          totalRevenue: { $sum: { $cond: [isPaidOrder, netRevenue, 0] } },
+        },
+      },
+    ],
+    summary: [
+      inRange,
+      {
+        $group: {
+          _id: null,
+          orders: { $sum: 1 },
+          paidOrders: countIf(isPaidOrder),
+          cancelled: countIf({ $eq: ['$orderStatus', 'cancelled'] }),
+          revenue: { $sum: { $cond: [isPaidOrder, netRevenue, 0] } },
+        },
+      },
+    ],
+    timeline: [
+      inRange,
+      {
+        $group: {
+          _id: { $dateTrunc: { date: '$orderTime', unit: range.unit } },
+          orders: { $sum: 1 },
+          paidOrders: countIf(isPaidOrder),
+          cancelled: countIf({ $eq: ['$orderStatus', 'cancelled'] }),
+          revenue: { $sum: { $cond: [isPaidOrder, netRevenue, 0] } },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ],
+    // Cart orders carry `items`; single-meal orders are treated as one line
+    topMeals: [
+      paidInRange,
+      {
+        $project: {
+          lines: {
+            $ifNull: ['$items', [{ foodId: '$foodId', mealName: '$mealName', quantity: '$quantity', lineTotal: '$price' }]],
+          },
+        },
+      },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: '$lines.foodId',
+          mealName: { $first: '$lines.mealName' },
+          quantity: { $sum: '$lines.quantity' },
+          revenue: { $sum: '$lines.lineTotal' },
+        },
+      },
+      { $sort: { revenue: -1 } },
+      { $limit: 5 },
+      { $project: { _id: 0, foodId: '$_id', mealName: 1, quantity: 1, revenue: 1 } },
+    ],
+  };
+
+  if (topChefs) {
+    facets.topChefs = [
+      paidInRange,
+      { $group: { _id: '$chefId', orders: { $sum: 1 }, revenue: { $sum: netRevenue } } },
+      { $sort: { revenue: -1 } },
+      { $limit: 5 },
+      { $lookup: { from: 'users', localField: '_id', foreignField: 'chefId', as: 'chef' } },
+      { $project: { _id: 0, chefId: '$_id', chefName: { $first: '$chef.name' }, orders: 1, revenue: 1 } },
+    ];
+  }
+
+  return [{ $match: scope }, { $facet: facets }];
+};
 
-    // Total Users
-    const totalUsers = await usersCollection.countDocuments();
+const userStatsPipeline = (range) => [
+  {
+    $facet: {
+      lifetime: [{ $count: 'totalUsers' }],
+      signups: [
+        { $match: { createdAt: { $gte: range.from, $lte: range.to } } },
+        { $group: { _id: { $dateTrunc: { date: '$createdAt', unit: range.unit } }, signups: { $sum: 1 } } },
+      ],
+    },
+  },
+];
+
+// Shapes the faceted result; signups (admin only) are merged into the timeline
+const formatStats = (range, orderStats, signups = []) => {
+  const lifetime = orderStats.lifetime[0] || { totalOrders: 0, ordersPending: 0, ordersDelivered: 0, totalRevenue: 0 };
+  const summary = orderStats.summary[0] || { orders: 0, paidOrders: 0, cancelled: 0, revenue: 0 };
+
+  const buckets = {};
+  orderStats.timeline.forEach(({ _id, ...bucket }) => {
+    buckets[_id.toISOString()] = { period: _id, signups: 0, ...bucket };
+  });
+  signups.forEach(({ _id, signups: count }) => {
+    const key = _id.toISOString();
+    buckets[key] = buckets[key] || { period: _id, orders: 0, paidOrders: 0, cancelled: 0, revenue: 0 };
+    buckets[key].signups = count;
+  });
 
-    // Orders
-    const ordersPending = await ordersCollection.countDocuments({ orderStatus: 'pending' });
-    const ordersDelivered = await ordersCollection.countDocuments({ orderStatus: 'delivered' });
-    const totalOrders = await ordersCollection.countDocuments();
+  return {
+    range: { from: range.from, to: range.to, groupBy: range.unit },
+    totalOrders: lifetime.totalOrders,
+    ordersPending: lifetime.ordersPending,
+    ordersDelivered: lifetime.ordersDelivered,
+    totalRevenue: lifetime.totalRevenue,
+    summary: {
+      orders: summary.orders,
+      paidOrders: summary.paidOrders,
+      cancelled: summary.cancelled,
+      revenue: summary.revenue,
+      cancellationRate: summary.orders ? summary.cancelled / summary.orders : 0,
+    },
+    timeline: Object.values(buckets).sort((a, b) => a.period - b.period),
+    topMeals: orderStats.topMeals,
+  };
+};
 
-    // Total Revenue (only paid orders)
-    const revenueAgg = await ordersCollection.aggregate([
-      { $match: { paymentStatus: 'paid' } },
-      { $group: { _id: null, totalRevenue: { $sum: '$price' } } },
-    ]).toArray();
-    const totalRevenue = revenueAgg[0]?.totalRevenue || 0;
+app.get('/admin/statistics', verifyJWT, requireRole('admin'), async (req, res) => {
+  try {
+    const range = parseStatsRange(req.query);
+    if (range.message) return res.status(400).send({ message: range.message });
 
-    // Total Plants / Meals
-    const totalPlants = await foodCollection.countDocuments();
+    const [[orderStats], [userStats], totalMeals] = await Promise.all([
+      ordersCollection.aggregate(orderStatsPipeline({}, range, { topChefs: true })).toArray(),
+      usersCollection.aggregate(userStatsPipeline(range)).toArray(),
+      foodCollection.countDocuments(),
+    ]);
 
     res.send({
-      totalUsers,
-      totalOrders,
-      ordersPending,
-      ordersDelivered,
-      totalRevenue,
-      totalPlants
+      ...formatStats(range, orderStats, userStats.signups),
+      totalUsers: userStats.lifetime[0]?.totalUsers || 0,
+      totalMeals,
+      topChefs: orderStats.topChefs,
     });
   } catch (err) {
     console.error(err);
@@ -659,11 +3693,115 @@ app.get('/admin/statistics', verifyJWT, async (req, res) => {
   }
 });
 
+// Same figures limited to the calling chef's orders and meals
+app.get('/chef/statistics', verifyJWT, requireRole('chef'), async (req, res) => {
+  try {
+    const range = parseStatsRange(req.query);
+    if (range.message) return res.status(400).send({ message: range.message });
+
+    const chefId = req.user.chefId;
+    const [[orderStats], totalMeals] = await Promise.all([
+      ordersCollection.aggregate(orderStatsPipeline({ chefId }, range)).toArray(),
+      foodCollection.countDocuments({ chefId }),
+    ]);
+
+    res.send({ ...formatStats(range, orderStats), totalMeals });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ message: 'Failed to fetch statistics', err });
+  }
+});
+
+
 
 
 
 
 
+    // ===== Background jobs =====
+    // Sweep for unpaid pre-orders whose slot is close
+    setInterval(() => cancelUnpaidPreorders().catch(console.error), 60 * 1000);
+
+    // ===== Indexes =====
+    // A failing index is logged and skipped, so it cannot stop the ones after it
+    const ensureIndex = (collection, keys, options) =>
+      collection.createIndex(keys, options).catch((err) => {
+        console.error(`Failed to create index ${JSON.stringify(keys)} on ${collection.collectionName}`, err);
+      });
+
+    // One cart line per user and meal
+    await ensureIndex(cartCollection, { userEmail: 1, foodId: 1 }, { unique: true });
+
+    // Meal search and filters on GET /add-food
+    await ensureIndex(
+      foodCollection,
+      { foodName: 'text', ingredients: 'text', chefName: 'text' },
+      { name: 'meal_search', weights: { foodName: 5, chefName: 3, ingredients: 1 } }
+    );
+    await ensureIndex(foodCollection, { price: 1 });
+    await ensureIndex(foodCollection, { rating: -1 });
+    await ensureIndex(foodCollection, { chefId: 1 });
+    await ensureIndex(foodCollection, { deliveryArea: 1 });
+    await ensureIndex(foodCollection, { 'kitchen.location': '2dsphere' });
+    await ensureIndex(
+      foodCollection,
+      { chefId: 1, sku: 1 },
+      { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+    );
+
+    // Missed order events are kept for a day for reconnecting streams
+    await ensureIndex(orderEventsCollection, { createdAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 });
+    await ensureIndex(orderEventsCollection, { userEmail: 1, _id: 1 });
+    await ensureIndex(orderEventsCollection, { chefId: 1, forChef: 1, _id: 1 });
+
+    // One ledger entry per earning or refund, and fast unsettled lookups
+    await ensureIndex(ledgerCollection, { entryKey: 1 }, { unique: true });
+    await ensureIndex(ledgerCollection, { chefId: 1, payoutId: 1, createdAt: -1 });
+
+    // One review per meal of an order; older reviews have no orderId
+    await ensureIndex(
+      reviewsCollection,
+      { orderId: 1, foodId: 1 },
+      { unique: true, partialFilterExpression: { orderId: { $exists: true } } }
+    );
+    await backfillMealRatings().catch((err) => console.error('Failed to backfill meal ratings', err));
+
+    // Chef ids must never repeat
+    await renumberDuplicateChefIds().catch((err) => console.error('Failed to renumber duplicate chef ids', err));
+    await ensureIndex(
+      usersCollection,
+      { chefId: 1 },
+      { unique: true, partialFilterExpression: { chefId: { $type: 'string' } } }
+    );
+    await ensureIndex(usersCollection, { role: 1, status: 1 });
+
+    // Old capacity counters are only history
+    await ensureIndex(capacityCollection, { createdAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 30 });
+
+    await ensureIndex(slotsCollection, { chefId: 1, start: 1 });
+
+    await ensureIndex(notificationsCollection, { userEmail: 1, createdAt: -1 });
+    await ensureIndex(notificationsCollection, { userEmail: 1, read: 1 });
+
+    await ensureIndex(auditCollection, { createdAt: -1 });
+    await ensureIndex(auditCollection, { actor: 1, createdAt: -1 });
+    await ensureIndex(auditCollection, { action: 1, createdAt: -1 });
+    await ensureIndex(auditCollection, { targetId: 1, createdAt: -1 });
+
+    await ensureIndex(followsCollection, { userEmail: 1, chefId: 1 }, { unique: true });
+    await ensureIndex(followsCollection, { chefId: 1 });
+
+    await ensureIndex(idempotencyCollection, { createdAt: 1 }, { expireAfterSeconds: idempotencyWindowHours * 60 * 60 });
+
+    await ensureIndex(couponsCollection, { code: 1 }, { unique: true });
+    await ensureIndex(redemptionsCollection, { orderId: 1, status: 1 });
+    await ensureIndex(redemptionsCollection, { couponId: 1, userEmail: 1, status: 1 });
+    // Rolled-back redemptions give their per-user slot back
+    await ensureIndex(
+      redemptionsCollection,
+      { couponId: 1, userEmail: 1, slot: 1 },
+      { unique: true, partialFilterExpression: { status: 'active', slot: { $exists: true } } }
+    );
 
     // ===== Ping MongoDB =====
     await client.db('admin').command({ ping: 1 });
@@ -0,0 +1,151 @@
+// ===== Transactional email =====
+// A transport is any object with `send(message)` returning a promise. Pick one
+// with MAIL_TRANSPORT: smtp (production), file (writes to MAIL_OUTBOX_DIR) or
+// memory (keeps messages in `transport.sent`, for tests).
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { money, orderItems } = require('./format');
+
+const smtpTransport = () => {
+  const smtp = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return { name: 'smtp', send: (message) => smtp.sendMail(message) };
+};
+
+const fileTransport = (dir = process.env.MAIL_OUTBOX_DIR || './mail-outbox') => ({
+  name: 'file',
+  dir,
+  send: async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    return { file };
+  },
+});
+
+const memoryTransport = () => {
+  const sent = [];
+  return {
+    name: 'memory',
+    sent,
+    send: async (message) => {
+      sent.push({ ...message, sentAt: new Date() });
+      return { index: sent.length - 1 };
+    },
+  };
+};
+
+// Without MAIL_TRANSPORT, SMTP_HOST selects smtp; otherwise mail goes to the
+// outbox directory, which is only meant for local development
+const createTransport = (kind = process.env.MAIL_TRANSPORT) => {
+  if (kind === 'smtp' || (!kind && process.env.SMTP_HOST)) return smtpTransport();
+  if (kind === 'memory') return memoryTransport();
+  const transport = fileTransport();
+  if (kind !== 'file') {
+    console.warn(`MAIL_TRANSPORT is not set to smtp; emails are written to ${transport.dir} and NOT sent`);
+  }
+  return transport;
+};
+
+// ===== Templates =====
+// Each returns { subject, text, html } from order, meal and request data.
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const itemLines = (order) =>
+  orderItems(order).map((item) => `${item.quantity} x ${item.mealName} (${money(item.unitPrice)}) = ${money(item.lineTotal)}`);
+
+const page = (heading, paragraphs, lines = []) => {
+  const list = lines.length ? `<ul>${lines.map((l) => `<li>${escapeHtml(l)}</li>`).join('')}</ul>` : '';
+  return `<h2>${escapeHtml(heading)}</h2>${paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join('')}${list}`;
+};
+
+const templates = {
+  orderConfirmation: ({ order }) => {
+    const intro = `Thanks for your order! We received your payment of ${money(order.price)}.`;
+    const lines = itemLines(order);
+    return {
+      subject: `Order confirmed #${order._id}`,
+      text: [intro, '', ...lines, '', `Order number: ${order._id}`].join('\n'),
+      html: page('Order confirmed', [intro, `Order number: ${order._id}`], lines),
+    };
+  },
+
+  orderStatus: ({ order, status, note }) => {
+    const label = status.replace(/_/g, ' ');
+    const paragraphs = [`Your order #${order._id} is now ${label}.`];
+    if (note) paragraphs.push(`Note from the kitchen: ${note}`);
+    return {
+      subject: `Your order is ${label}`,
+      text: paragraphs.join('\n\n'),
+      html: page(`Order ${label}`, paragraphs, itemLines(order)),
+    };
+  },
+
+  newOrderForChef: ({ order }) => {
+    const lines = itemLines(order);
+    const paragraphs = [`You have a new order #${order._id} from ${order.userName || order.userEmail}.`];
+    if (order.userAddress) paragraphs.push(`Deliver to: ${order.userAddress}`);
+    if (order.deliveryWindow) paragraphs.push(`Delivery slot starts ${new Date(order.deliveryWindow.start).toUTCString()}`);
+    return {
+      subject: `New order #${order._id}`,
+      text: [...paragraphs, '', ...lines].join('\n'),
+      html: page('New order', paragraphs, lines),
+    };
+  },
+
+  requestDecision: ({ request, approved, reason }) => {
+    const paragraphs = [`Your request to become ${request.requestType === 'admin' ? 'an admin' : 'a chef'} was ${approved ? 'approved' : 'rejected'}.`];
+    if (!approved && reason) paragraphs.push(`Reason: ${reason}`);
+    return {
+      subject: `Your ${request.requestType} request was ${approved ? 'approved' : 'rejected'}`,
+      text: paragraphs.join('\n\n'),
+      html: page(approved ? 'Request approved' : 'Request rejected', paragraphs),
+    };
+  },
+};
+
+// ===== Mailer =====
+// sendTemplate() returns at once; delivery and retries (exponential backoff)
+// happen in the background. The returned promise settles when the message is
+// delivered or given up on, for callers that want to wait.
+const createMailer = ({
+  transport = createTransport(),
+  from = process.env.MAIL_FROM || 'LocalChefBazaar <no-reply@localchefbazaar.com>',
+  retries = Number(process.env.MAIL_RETRIES ?? 3),
+  retryDelayMs = Number(process.env.MAIL_RETRY_DELAY_MS ?? 2000),
+} = {}) => {
+  const deliver = async (message, attempt = 0) => {
+    try {
+      return await transport.send(message);
+    } catch (err) {
+      if (attempt >= retries) {
+        console.error(`Email to ${message.to} failed after ${attempt + 1} attempts`, err);
+        return null;
+      }
+      await new Promise((resolve) => setTimeout(resolve, retryDelayMs * 2 ** attempt));
+      return deliver(message, attempt + 1);
+    }
+  };
+
+  const sendTemplate = (name, to, data) => {
+    if (!to) return Promise.resolve(null);
+    let rendered;
+    try {
+      rendered = templates[name](data);
+    } catch (err) {
+      console.error(`Failed to render email template ${name}`, err);
+      return Promise.resolve(null);
+    }
+    return deliver({ from, to, ...rendered });
+  };
+
+  return { transport, sendTemplate };
+};
+
+module.exports = { createMailer, createTransport, smtpTransport, fileTransport, memoryTransport, templates };
@@ -0,0 +1,62 @@
+// Sends a locally signed fake Stripe event to the running server.
+// Usage: node stripeTestEvent.js <event-type> <orderId> [amount]
+// e.g.   node stripeTestEvent.js checkout.session.completed 6650f0c2a1b2c3d4e5f60718 12.5
+require('dotenv').config();
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+const [type = 'checkout.session.completed', orderId, amount = '10'] = process.argv.slice(2);
+const cents = Math.round(Number(amount) * 100);
+const paymentIntent = `pi_test_${orderId}`;
+
+const objects = {
+  'checkout.session.completed': {
+    id: `cs_test_${Date.now()}`,
+    object: 'checkout.session',
+    payment_status: 'paid',
+    payment_intent: paymentIntent,
+    amount_total: cents,
+    metadata: { orderId },
+  },
+  'payment_intent.payment_failed': {
+    id: paymentIntent,
+    object: 'payment_intent',
+    amount: cents,
+    last_payment_error: { message: 'Your card was declined.' },
+    metadata: { orderId },
+  },
+  'charge.refunded': {
+    id: `ch_test_${Date.now()}`,
+    object: 'charge',
+    payment_intent: paymentIntent,
+    amount: cents,
+    amount_refunded: cents,
+    refunded: true,
+    metadata: { orderId },
+  },
+};
+
+if (!orderId || !objects[type]) {
+  console.log(`Usage: node stripeTestEvent.js <${Object.keys(objects).join('|')}> <orderId> [amount]`);
+  process.exit(1);
+}
+
+const payload = JSON.stringify({
+  id: `evt_test_${Date.now()}`,
+  object: 'event',
+  type,
+  created: Math.floor(Date.now() / 1000),
+  data: { object: objects[type] },
+});
+
+const header = stripe.webhooks.generateTestHeaderString({
+  payload,
+  secret: process.env.STRIPE_WEBHOOK_SECRET,
+});
+
+fetch(`http://localhost:${process.env.PORT || 3000}/stripe/webhook`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'Stripe-Signature': header },
+  body: payload,
+})
+  .then(async (res) => console.log(res.status, await res.text()))
+  .catch(console.error);